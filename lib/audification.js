@@ -0,0 +1,133 @@
+/**
+ * MODULE: Audification
+ * 
+ * Purpose: Play a numeric column directly as a sound wave (one value = one audio sample)
+ * 
+ * Key Exports:
+ * - AUDIFICATION_DEFAULTS - Default rate, compression and limits
+ * - buildAudificationSignal() - Column values → normalized -1..1 signal (optional DC removal)
+ * - compressionToSampleRate() - Time-compression factor → samples per second
+ * - resampleSignal() - Linear resampling to the AudioContext's sample rate
+ * 
+ * Dependencies:
+ * - None (pure functions - no side effects, no external state)
+ * 
+ * Used By:
+ * - main.js (audification sound source)
+ * - lib/audio-engine.js (createAudificationBuffer)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript - AudioEngine writes the result into an AudioBuffer)
+ */
+
+/**
+ * Audification vs. the rest of DataSynth:
+ * Parameter mapping turns each item into a note. Audification skips notes
+ * entirely - the values ARE the waveform, played very fast. Long series
+ * (prices, sensor readings, seismograms) reveal trends as pitch/noise color,
+ * cycles as tones and sudden events as clicks.
+ * 
+ * Rate decides everything: 1,000 values at 1,000 samples/s last one second;
+ * at 44,100 samples/s they're over in 23ms.
+ */
+export const AUDIFICATION_DEFAULTS = {
+    sampleRate: 8000,       // Data samples per second
+    compression: 432000000, // "× faster than real time" (daily data → 5000 samples/s)
+    secondsPerItem: 86400,  // Daily data
+    maxDuration: 120        // Seconds - longer buffers cost too much memory
+};
+
+/**
+ * Turn raw column values into an audio signal
+ * Pure function
+ * 
+ * - Non-numbers are skipped (missing readings would otherwise be clicks)
+ * - DC removal subtracts the mean: a price around $60,000 is a huge constant
+ *   offset that speakers can't play - what we want to hear is the movement
+ * - Normalized so the biggest peak is ±1 (full scale, before the master bus)
+ * 
+ * @param {Array} values - Column values (e.g., from extractValues())
+ * @param {Object} options
+ * @param {boolean} options.removeDC - Subtract the mean first (default true)
+ * @returns {Float32Array} Signal in -1..1 (empty if there are no numbers)
+ * 
+ * Example:
+ *   buildAudificationSignal([10, 12, 8]) → Float32Array [0, 1, -1]
+ */
+export function buildAudificationSignal(values, { removeDC = true } = {}) {
+    const numbers = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
+    const signal = Float32Array.from(numbers);
+    if (signal.length === 0) return signal;
+    
+    if (removeDC) {
+        const mean = numbers.reduce((sum, v) => sum + v, 0) / numbers.length;
+        for (let i = 0; i < signal.length; i++) {
+            signal[i] = numbers[i] - mean;
+        }
+    }
+    
+    let peak = 0;
+    for (let i = 0; i < signal.length; i++) {
+        peak = Math.max(peak, Math.abs(signal[i]));
+    }
+    
+    if (peak > 0) {
+        for (let i = 0; i < signal.length; i++) {
+            signal[i] /= peak;
+        }
+    }
+    
+    return signal;
+}
+
+/**
+ * Convert a time-compression factor to a playback sample rate
+ * Pure function
+ * 
+ * If each item is one day of real time, playing at 86,400× compression
+ * means one day per second → 1 sample per second (inaudible).
+ * Audification usually needs millions of ×.
+ * 
+ * @param {number} compression - How many times faster than real time
+ * @param {number} secondsPerItem - Real time between two items
+ * @returns {number} Samples per second
+ * 
+ * Example:
+ *   compressionToSampleRate(3600000, 3600) → 1000  (hourly data, 1000 hours per second)
+ */
+export function compressionToSampleRate(compression, secondsPerItem) {
+    if (!(secondsPerItem > 0)) return 0;
+    return compression / secondsPerItem;
+}
+
+/**
+ * Resample a signal from one rate to another (linear interpolation)
+ * Pure function
+ * 
+ * AudioBuffers play at the AudioContext's rate (usually 44.1/48kHz), so data
+ * "at 2,000 samples/s" is stretched to the context rate before playing.
+ * Going the other way (data rate above the context rate) drops detail.
+ * 
+ * @param {Float32Array} signal - Input samples
+ * @param {number} fromRate - Rate the signal should play at
+ * @param {number} toRate - Output rate (AudioContext.sampleRate)
+ * @param {number} maxLength - Longest output in samples (truncates beyond it)
+ * @returns {Float32Array} Resampled signal
+ */
+export function resampleSignal(signal, fromRate, toRate, maxLength = Infinity) {
+    if (signal.length === 0 || !(fromRate > 0) || !(toRate > 0)) return new Float32Array(0);
+    
+    const ratio = fromRate / toRate;
+    const length = Math.min(maxLength, Math.max(1, Math.round(signal.length / ratio)));
+    const output = new Float32Array(length);
+    
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+        const index = Math.min(Math.floor(position), signal.length - 1);
+        const next = Math.min(index + 1, signal.length - 1);
+        const fraction = position - Math.floor(position);
+        output[i] = signal[index] + (signal[next] - signal[index]) * fraction;
+    }
+    
+    return output;
+}
@@ -5,16 +5,46 @@
  * 
  * Key Exports:
  * - AudioEngine class - Coordinates all audio processing
- *   - initEffects() - Set up delay and reverb effects chain
+ *   - initEffects() - Set up delay/reverb effects and master bus (live or offline context)
+ *   - isOffline() - Whether the engine renders into an OfflineAudioContext
  *   - createCustomOscillator() - Generate oscillators, noise, FM, additive synthesis
+ *   - createAdditiveWave() - Build (and cache) a harmonic series PeriodicWave
+ *   - createWavetableWave() - Build (and cache) a PeriodicWave from a data wavetable
+ *   - startVoice() - Start/stop a source together with its helper oscillators
+ *   - createEnvelope() - ADSR amplitude envelope shared by every voice (synth, sampler, grains)
+ *   - scheduleAutomation() - Run planned automation points on any AudioParam (e.g., filter envelope)
+ *   - createLfo() / setLfoRate() / modulate() - LFOs (sine, triangle, square, sample & hold) on any AudioParam
+ *   - getGlobalLfo() / stopGlobalLfos() - Free-running LFOs shared by all notes
+ *   - createSpatialPanner() - HRTF 3D panner placed by azimuth/elevation/distance
+ *   - loadSample() / removeSample() / clearSample() - Manage the sampler kit
+ *   - getKitBuffer() - Pick a kit sample from a 0-1 sampleIndex
+ *   - createGrainCloud() - Play a planned cloud of sample grains (granular source)
+ *   - createAudificationBuffer() / startAudification() / stopAudification() - Play data as a waveform
+ *   - setEffectOrder() / setEffectEnabled() - Configure the effects rack
+ *   - setDelayMode() - Classic or ping-pong delay routing
+ *   - setMasterVolume() - Set master bus gain
+ *   - setCompressor() - Set master compressor threshold/ratio
  *   - createNoiseBuffer() - Generate white/pink/brown noise buffers
  *   - createReverbImpulse() - Generate reverb impulse response
- *   - setupVisualizer() - Initialize waveform canvas visualization
- *   - drawVisualizer() - Animate waveform display
+ *   - getReverbImpulse() - Cached generated impulse for a decay time
+ *   - setReverbDecay() - Crossfade to the impulse for a decay time (skipped with a loaded IR)
+ *   - loadImpulseResponse() / clearImpulseResponse() - Use a recorded IR file
+ *   - setupVisualizer() - Initialize canvas visualization (stereo analysers on the master bus)
+ *   - drawVisualizer() - Animate the display in the current mode
+ *   - setVisualizerMode() - Oscilloscope, spectrum, spectrogram or goniometer (switchable while playing)
+ *   - setVisualizerMarkers() - Mark the heard note's frequency and filter cutoff
+ *   - startMeter() / stopMeter() / resetMeter() - Output loudness meter (peak, RMS, LUFS, clips)
+ *   - setMeterItem() / getMeterReadings() - Tag clips with the playing item, read the meter
  *   - cleanup() - Clean up audio resources
  * 
  * Dependencies:
- * - None (pure Web Audio API)
+ * - lib/effects-rack.js (EffectsRack, DEFAULT_EFFECTS_CONFIG)
+ * - lib/wavetable.js (wavetableToFourier)
+ * - lib/audification.js (resampleSignal, AUDIFICATION_DEFAULTS)
+ * - lib/visualizer.js (visualizer modes, log frequency axis, spectrogram colors)
+ * - lib/loudness-meter.js (LoudnessMeter)
+ * - lib/envelope.js (planEnvelope)
+ * - lib/lfo.js (sampleHoldSteps)
  * 
  * Used By:
  * - main.js (playback coordination)
@@ -26,6 +56,33 @@
  * - requestAnimationFrame (for smooth animation)
  */
 
+import { EffectsRack, DEFAULT_EFFECTS_CONFIG } from './effects-rack.js';
+import { wavetableToFourier } from './wavetable.js';
+import { resampleSignal, AUDIFICATION_DEFAULTS } from './audification.js';
+import { 
+    VISUALIZER_MODES, 
+    frequencyToPosition, 
+    logBinEdges, 
+    logSpectrum, 
+    updatePeakHold, 
+    spectrogramColor, 
+    goniometerPoint, 
+    stereoCorrelation 
+} from './visualizer.js';
+import { LoudnessMeter } from './loudness-meter.js';
+import { planEnvelope } from './envelope.js';
+import { sampleHoldSteps } from './lfo.js';
+
+// Output meter: analysers hold the last 32768 samples (0.68s at 48kHz),
+// polled every 100ms - each poll measures only the samples that are new
+const METER_FFT_SIZE = 32768;
+const METER_POLL_MS = 100;
+
+// Sample & hold LFO: a looped buffer of 256 random steps, 128 samples each -
+// playbackRate slows it down to the LFO rate (a random start keeps notes from repeating)
+const SAMPLE_HOLD_STEPS = 256;
+const SAMPLE_HOLD_STEP_LENGTH = 128;
+
 /**
  * Audio Engine Class
  * 
@@ -59,43 +116,127 @@ export class AudioEngine {
         this.delayFeedbackGain = null;
         this.delayWetGain = null;
         this.delayDryGain = null;
+        this.delayNodeRight = null;          // Second line (ping-pong mode)
+        this.delayFeedbackGainRight = null;
+        this.delayDampingFilters = [];       // Lowpass in each feedback path
         this.reverbNode = null;
         this.reverbWetGain = null;
         this.reverbDryGain = null;
         
+        // Effects rack (reverb/delay nodes above live inside it)
+        // Config survives initEffects() rebuilding the rack
+        this.effectsRack = null;
+        this.effectsInput = null;
+        this.effectsConfig = {
+            order: [...DEFAULT_EFFECTS_CONFIG.order],
+            enabled: { ...DEFAULT_EFFECTS_CONFIG.enabled }
+        };
+        
+        // Master bus (every sound passes through here last)
+        this.masterGain = null;
+        this.compressor = null;
+        this.limiter = null;
+        
+        // Master settings survive initEffects() rebuilding the nodes
+        this.masterSettings = { volume: 0.2, threshold: -18, ratio: 4 };
+        
+        // Delay routing survives initEffects() too ('classic' or 'pingpong')
+        this.delaySettings = { mode: 'classic' };
+        
+        // Impulse responses (see setReverbDecay)
+        // Generated impulses are cached by decay rounded to 0.5s - AudioBuffers aren't
+        // tied to a context, so the offline export engine can share this cache.
+        // A convolver only accepts a buffer at its own sample rate, so the rate is part of the key
+        // Key: "sampleRate:decay" → AudioBuffer
+        this.impulseCache = new Map();
+        this.customImpulse = null;   // { buffer, fileName } when the user loaded an IR file
+        this.reverbDecay = null;     // Decay of the generated impulse currently playing
+        
         // Delay pitch shifting state
         this.previousDelayTime = null;
         
+        // Additive synthesis: PeriodicWaves are tied to one context, cache them per engine
+        // Key: "harmonics:brightness" → PeriodicWave
+        this.periodicWaveCache = new Map();
+        
         // Sampler state
+        // sampleKit holds every loaded sample: [{ buffer, fileName, duration }]
+        // sampleBuffer/sampleFileName/sampleDuration mirror the first kit sample
         this.samplerMode = false;
+        this.sampleKit = [];
         this.sampleBuffer = null;
         this.sampleFileName = '';
         this.sampleDuration = 0;
         
-        // Visualizer state (stereo oscilloscope)
+        // Audification state (one long buffer instead of notes)
+        this.audificationSource = null;
+        this.audificationGain = null;
+        
+        // Visualizer state (stereo analysers, drawn in one of VISUALIZER_MODES)
         this.analyser = null;
         this.analyserRight = null;
         this.splitter = null;
         this.dataArray = null;
         this.dataArrayRight = null;
+        this.frequencyData = null;
+        this.frequencyDataRight = null;
+        this.floatData = null;
+        this.floatDataRight = null;
         this.animationId = null;
         this.visualizerCanvas = null;
         this.visualizerCtx = null;
+        this.visualizerMode = 'oscilloscope';
+        this.visualizerMarkers = {}; // { frequency, filterFreq } of the note being heard
+        this.spectrumPeaks = null;
+        this.logBinCache = null; // { key, edges } - recomputed only when the size changes
+        this.spectrogramCanvas = null; // Offscreen history, scrolls one pixel per frame
         
         // Idle animation state (for when not playing)
         this.idleAnimationStartTime = Date.now();
+        
+        // Output meter (live contexts only - exports measure the rendered buffer)
+        this.meter = null;
+        this.meterAnalysers = null; // [left, right] on the limiter output
+        this.meterBuffers = null;
+        this.meterTimer = null;
+        this.meterLastTime = 0;
+        this.meterItemIndex = null;
+        this.onMeterUpdate = null; // Called with getMeterReadings() after every poll
+        
+        // LFOs (see createLfo)
+        this.globalLfos = new Map(); // Key: LFO slot id → running LFO shared by all notes
+        this.sampleHoldBuffer = null;
     }
     
     /**
      * Initialize audio context and global effects chain
      * 
      * This sets up the effects routing:
-     * Input → Reverb (wet/dry) → Delay (wet/dry/feedback) → Destination (speakers)
+     * Input → Effects Rack (default: Reverb → Delay) → Master Bus → Destination (speakers)
+     * 
+     * Master bus: Master Gain → Compressor → Limiter
+     * Overlapping notes plus high delay feedback can add up past 1.0 (digital
+     * clipping = harsh crackle). The compressor evens out loud passages, the
+     * limiter is a last-resort ceiling just below 0 dBFS.
      * 
      * IMPORTANT: Must be called from user interaction (button click)
      * Browsers require user gesture before audio playback for security/UX
+     * 
+     * Offline rendering: pass an OfflineAudioContext to build the exact same
+     * effects chain inside it. Everything downstream (oscillators, envelopes,
+     * effects) then renders faster than real time into an AudioBuffer.
+     * 
+     * @param {BaseAudioContext} context - Optional context to use instead of creating one
      */
-    initEffects() {
+    initEffects(context = null) {
+        if (context) {
+            // Cached waves belong to the old context and can't be reused
+            if (context !== this.audioContext) {
+                this.periodicWaveCache.clear();
+            }
+            this.audioContext = context;
+        }
+        
         // Create audio context if it doesn't exist
         if (!this.audioContext) {
             // Use prefixed version for Safari compatibility
@@ -104,54 +245,165 @@ export class AudioEngine {
         }
         
         // Resume if suspended (common on mobile Safari)
-        if (this.audioContext.state === 'suspended') {
+        // Offline contexts start suspended on purpose - startRendering() runs them
+        if (this.audioContext.state === 'suspended' && !this.isOffline()) {
             this.audioContext.resume();
         }
         
         // ========================================================================
-        // DELAY EFFECT SETUP
+        // MASTER BUS SETUP
         // ========================================================================
-        // Delay creates echo effect with feedback loop
-        // Signal flow: Input → Delay → Feedback (back to delay) + Wet Mix → Output
-        //                           → Dry Mix → Output
+        // Signal flow: Effects → Master Gain → Compressor → Limiter → Destination
+        // Visualizer and export both tap the limiter output (what you actually hear)
         
-        this.delayNode = this.audioContext.createDelay(2.0); // Max 2 seconds delay
-        this.delayFeedbackGain = this.audioContext.createGain();
-        this.delayWetGain = this.audioContext.createGain();
-        this.delayDryGain = this.audioContext.createGain();
+        this.masterGain = this.audioContext.createGain();
+        this.masterGain.gain.value = this.masterSettings.volume;
         
-        // Connect delay feedback loop
-        this.delayNode.connect(this.delayFeedbackGain);
-        this.delayFeedbackGain.connect(this.delayNode); // Creates repeating echo
-        this.delayNode.connect(this.delayWetGain);
+        // Compressor: gentle "glue" - user-adjustable threshold and ratio
+        this.compressor = this.audioContext.createDynamicsCompressor();
+        this.compressor.threshold.value = this.masterSettings.threshold;
+        this.compressor.ratio.value = this.masterSettings.ratio;
+        this.compressor.knee.value = 6;
+        this.compressor.attack.value = 0.01;
+        this.compressor.release.value = 0.2;
         
-        // ========================================================================
-        // REVERB EFFECT SETUP
-        // ========================================================================
-        // Reverb simulates acoustic space using convolution with impulse response
-        // Signal flow: Input → Reverb → Wet Mix → Delay chain
-        //                            → Dry Mix → Delay chain
+        // Limiter: a compressor pushed to the extreme (fast attack, max ratio, hard knee)
+        // Anything above -1 dBFS gets squashed down instead of clipping
+        this.limiter = this.audioContext.createDynamicsCompressor();
+        this.limiter.threshold.value = -1;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.001;
+        this.limiter.release.value = 0.05;
         
-        this.reverbNode = this.audioContext.createConvolver();
-        this.reverbNode.buffer = this.createReverbImpulse(2, 2); // 2s duration, 2s decay
-        this.reverbWetGain = this.audioContext.createGain();
-        this.reverbDryGain = this.audioContext.createGain();
+        this.masterGain.connect(this.compressor);
+        this.compressor.connect(this.limiter);
+        this.limiter.connect(this.audioContext.destination);
         
-        this.reverbNode.connect(this.reverbWetGain);
+        // Meter tap on the limiter output: what reaches the speakers, after every safety stage
+        if (!this.isOffline()) {
+            this._setupMeterTap();
+        }
         
         // ========================================================================
-        // EFFECTS CHAIN ROUTING (Reverb → Delay)
+        // EFFECTS RACK SETUP
         // ========================================================================
-        // This order means: reverb happens first, THEN the reverbed signal gets delayed
-        // Creates longer, more spacious delays with reverb tails that repeat
+        // Notes → Effects Rack (ordered modules, each can be bypassed) → Master Bus
+        // Default chain is Reverb → Delay: reverb happens first, THEN the reverbed
+        // signal gets delayed - longer, more spacious delays with reverb tails that repeat.
+        // Order and on/off live in effectsConfig, so they survive rebuilding the rack.
         
-        this.reverbWetGain.connect(this.delayNode);
-        this.reverbWetGain.connect(this.delayDryGain);
-        this.reverbDryGain.connect(this.delayNode);
-        this.reverbDryGain.connect(this.audioContext.destination);
-        this.delayWetGain.connect(this.audioContext.destination);
+        if (this.effectsRack) {
+            this.effectsRack.dispose();
+        }
+        
+        // Start with the loaded IR, or a 2s generated room
+        if (!this.customImpulse) {
+            this.reverbDecay = 2;
+        }
+        this.effectsRack = new EffectsRack(this.audioContext, this.effectsConfig, {
+            reverb: { impulse: this.customImpulse ? this.customImpulse.buffer : this.getReverbImpulse(2) }
+        });
+        this.effectsInput = this.effectsRack.input;
+        this.effectsRack.output.connect(this.masterGain);
+        
+        // Shortcuts to the reverb/delay nodes (updated per note from main.js)
+        const delay = this.effectsRack.getModule('delay').nodes;
+        this.delayNode = delay.delay;
+        this.delayFeedbackGain = delay.feedback;
+        this.delayWetGain = delay.wet;
+        this.delayDryGain = delay.dry;
+        this.delayNodeRight = delay.delayRight;
+        this.delayFeedbackGainRight = delay.feedbackRight;
+        this.delayDampingFilters = [delay.damping, delay.dampingRight];
+        this.effectsRack.getModule('delay').setMode(this.delaySettings.mode, this.audioContext.currentTime);
         
-        console.log('✅ Effects chain initialized (Reverb → Delay → Output)');
+        const reverbModule = this.effectsRack.getModule('reverb');
+        const reverb = reverbModule.nodes;
+        this.reverbNode = reverb.convolver;
+        // Deferred impulse swaps land later - keep reverbNode on the audible convolver
+        reverbModule.onSwap = (convolver) => { this.reverbNode = convolver; };
+        this.reverbWetGain = reverb.wet;
+        this.reverbDryGain = reverb.dry;
+        
+        const chain = this.effectsConfig.order.filter(type => this.effectsConfig.enabled[type]);
+        console.log(`✅ Effects chain initialized (${chain.join(' → ')} → Master → Output)`);
+    }
+    
+    /**
+     * Reorder the effects chain
+     * 
+     * @param {Array<string>} order - Effect types, first = closest to the notes
+     */
+    setEffectOrder(order) {
+        // Effects left out keep their place at the end
+        const missing = this.effectsConfig.order.filter(type => !order.includes(type));
+        this.effectsConfig.order = [...order, ...missing];
+        if (this.effectsRack) this.effectsRack.setOrder(this.effectsConfig.order);
+    }
+    
+    /**
+     * Enable or bypass an effect in the rack
+     * 
+     * @param {string} type - Effect type (see EFFECT_DEFINITIONS)
+     * @param {boolean} enabled - true = in the chain, false = bypassed
+     */
+    setEffectEnabled(type, enabled) {
+        this.effectsConfig.enabled[type] = enabled;
+        if (this.effectsRack) this.effectsRack.setEnabled(type, enabled);
+    }
+    
+    /**
+     * Set delay routing
+     * 
+     * @param {string} mode - 'classic' (mono feedback) or 'pingpong' (left ↔ right)
+     */
+    setDelayMode(mode) {
+        this.delaySettings.mode = mode;
+        if (this.effectsRack) {
+            this.effectsRack.getModule('delay').setMode(mode, this.audioContext.currentTime);
+        }
+    }
+    
+    /**
+     * Set master volume (applies to everything, including effect tails)
+     * 
+     * @param {number} volume - Linear gain 0-1
+     */
+    setMasterVolume(volume) {
+        this.masterSettings.volume = volume;
+        
+        if (this.masterGain) {
+            // Short glide avoids zipper noise while dragging the slider
+            this.masterGain.gain.setTargetAtTime(volume, this.audioContext.currentTime, 0.02);
+        }
+    }
+    
+    /**
+     * Set master compressor threshold and ratio
+     * 
+     * Threshold: level where compression starts (-60 dB = squash everything, 0 = off)
+     * Ratio: how hard it squashes (4 = 4dB over threshold comes out as 1dB over)
+     * 
+     * @param {Object} settings - { threshold (dB), ratio } (either can be omitted)
+     */
+    setCompressor({ threshold, ratio } = {}) {
+        if (threshold !== undefined) this.masterSettings.threshold = threshold;
+        if (ratio !== undefined) this.masterSettings.ratio = ratio;
+        
+        if (this.compressor) {
+            this.compressor.threshold.value = this.masterSettings.threshold;
+            this.compressor.ratio.value = this.masterSettings.ratio;
+        }
+    }
+    
+    /**
+     * Check whether this engine renders offline (export) or live (speakers)
+     * 
+     * @returns {boolean} True if the context is an OfflineAudioContext
+     */
+    isOffline() {
+        return !!this.audioContext && typeof this.audioContext.startRendering === 'function';
     }
     
     /**
@@ -197,6 +449,95 @@ export class AudioEngine {
         return impulse;
     }
     
+    /**
+     * Get a generated impulse for a decay time (cached)
+     * 
+     * Generating an impulse fills seconds of stereo audio with noise on the main
+     * thread - doing that per note while playing causes stutters. Decay is rounded
+     * to 0.5s steps so a mapped reverbDecay only ever needs ~20 different impulses,
+     * each generated once.
+     * 
+     * @param {number} decay - Decay time in seconds
+     * @returns {AudioBuffer} Impulse response (duration = decay)
+     */
+    getReverbImpulse(decay) {
+        const step = Math.max(0.5, Math.round(decay * 2) / 2);
+        const key = `${this.audioContext.sampleRate}:${step}`;
+        
+        if (!this.impulseCache.has(key)) {
+            this.impulseCache.set(key, this.createReverbImpulse(step, step));
+        }
+        
+        return this.impulseCache.get(key);
+    }
+    
+    /**
+     * Change the reverb decay (crossfades, never swaps a playing buffer)
+     * 
+     * Does nothing when a recorded IR is loaded - its length is the room's length.
+     * 
+     * @param {number} decay - Decay time in seconds
+     * @param {number} time - Context time to start the crossfade
+     */
+    setReverbDecay(decay, time = this.audioContext.currentTime) {
+        if (this.customImpulse || !this.effectsRack) return;
+        
+        const step = Math.max(0.5, Math.round(decay * 2) / 2);
+        if (step === this.reverbDecay) return;
+        
+        this.reverbDecay = step;
+        this._crossfadeImpulse(this.getReverbImpulse(step), time);
+    }
+    
+    /**
+     * Load a recorded impulse response (WAV of a real room, hall, plate, ...)
+     * Replaces the generated impulse until clearImpulseResponse() is called
+     * 
+     * @param {File} file - Audio file from file input
+     * @returns {Promise<Object>} IR info (fileName, duration, channels)
+     */
+    async loadImpulseResponse(file) {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        
+        try {
+            const buffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+            this.customImpulse = { buffer, fileName: file.name };
+            
+            if (this.effectsRack) {
+                this._crossfadeImpulse(buffer, this.audioContext.currentTime);
+            }
+            
+            console.log(`✅ Impulse response loaded: ${file.name} (${buffer.duration.toFixed(2)}s)`);
+            return { fileName: file.name, duration: buffer.duration, channels: buffer.numberOfChannels };
+        } catch (error) {
+            console.error('❌ Error loading impulse response:', error);
+            throw new Error(`Failed to decode impulse response: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Go back to generated impulses (reverbDecay works again)
+     */
+    clearImpulseResponse() {
+        this.customImpulse = null;
+        
+        if (this.effectsRack) {
+            this.reverbDecay = this.reverbDecay || 2;
+            this._crossfadeImpulse(this.getReverbImpulse(this.reverbDecay), this.audioContext.currentTime);
+        }
+        console.log('🗑️ Impulse response cleared');
+    }
+    
+    /**
+     * Crossfade the reverb module to a new impulse (reverbNode follows through the module's onSwap)
+     * @private
+     */
+    _crossfadeImpulse(buffer, time) {
+        this.effectsRack.getModule('reverb').setImpulse(buffer, time);
+    }
+    
     /**
      * Create noise buffer for noise-based synthesis
      * 
@@ -258,6 +599,80 @@ export class AudioEngine {
         return buffer;
     }
     
+    /**
+     * Create a harmonic series as a PeriodicWave (additive synthesis)
+     * 
+     * Additive synthesis builds a tone by stacking sine waves (partials) at
+     * whole-number multiples of the fundamental: f, 2f, 3f, 4f...
+     * Partial n gets amplitude 1/n^rolloff:
+     * - rolloff 0.5 → upper partials stay loud (bright, buzzy)
+     * - rolloff 1   → same recipe as a sawtooth (classic "full" tone)
+     * - rolloff 3   → upper partials vanish quickly (soft, flute/organ-like)
+     * 
+     * Brightness (0-1) picks the rolloff: 0 = 3 (dark), 1 = 0.5 (bright).
+     * 
+     * Why a PeriodicWave instead of N oscillators?
+     * The browser sums the partials once into a wavetable, so a 32-partial note
+     * costs the same as a single sine oscillator. The wave is normalized, so
+     * changing harmonics/brightness changes timbre without jumping in volume.
+     * 
+     * @param {number} harmonics - Number of partials (1-64, 1 = pure sine)
+     * @param {number} brightness - 0 (dark) to 1 (bright)
+     * @returns {PeriodicWave} Wave for OscillatorNode.setPeriodicWave()
+     */
+    createAdditiveWave(harmonics = 8, brightness = 0.5) {
+        if (!this.audioContext) return null;
+        
+        const count = Math.max(1, Math.min(64, Math.round(harmonics)));
+        // Data-mapped values change every note - round so similar notes share a wave
+        const bright = Math.round(Math.max(0, Math.min(1, brightness)) * 100) / 100;
+        const key = `${count}:${bright}`;
+        if (this.periodicWaveCache.has(key)) {
+            return this.periodicWaveCache.get(key);
+        }
+        
+        const rolloff = 3 - bright * 2.5;
+        
+        // Index 0 is the DC offset (always 0), index n is partial n
+        const real = new Float32Array(count + 1);
+        const imag = new Float32Array(count + 1);
+        for (let n = 1; n <= count; n++) {
+            imag[n] = 1 / Math.pow(n, rolloff);
+        }
+        
+        const wave = this.audioContext.createPeriodicWave(real, imag);
+        this.periodicWaveCache.set(key, wave);
+        return wave;
+    }
+    
+    /**
+     * Build a PeriodicWave from a single-cycle wavetable (e.g., a data wavetable)
+     * 
+     * The table is converted to harmonics (see wavetableToFourier), so the
+     * browser plays it band-limited - the data's shape survives at any pitch
+     * without the aliasing a raw looped buffer would have.
+     * 
+     * The DFT is the expensive part, so waves are cached by a caller-chosen key
+     * (e.g., field + morph step). Use a new key whenever the table changes.
+     * 
+     * @param {Float32Array} table - One cycle in -1..1 (from lib/wavetable.js)
+     * @param {string} cacheKey - Identifies this table in the wave cache
+     * @returns {PeriodicWave|null} Wave for OscillatorNode.setPeriodicWave()
+     */
+    createWavetableWave(table, cacheKey) {
+        if (!this.audioContext || !table) return null;
+        
+        const key = `wavetable:${cacheKey}`;
+        if (this.periodicWaveCache.has(key)) {
+            return this.periodicWaveCache.get(key);
+        }
+        
+        const { real, imag } = wavetableToFourier(table);
+        const wave = this.audioContext.createPeriodicWave(real, imag);
+        this.periodicWaveCache.set(key, wave);
+        return wave;
+    }
+    
     /**
      * Create custom oscillator or sound source
      * 
@@ -267,13 +682,28 @@ export class AudioEngine {
      * - FM: frequency modulation synthesis
      * - Additive: harmonic series
      * - PWM: pulse width modulation
+     * - Wavetable: single cycle built from the dataset
      * 
      * @param {number} frequency - Base frequency in Hz
      * @param {string} type - Synthesis type (see above)
      * @param {number} duration - Length in milliseconds
+     * @param {Object} options - Timbre options (optional)
+     * @param {number} options.harmonics - Additive: number of partials (default 8)
+     * @param {number} options.brightness - Additive: 0 (dark) to 1 (bright) (default 0.5)
+     * @param {number} options.pulseWidth - PWM: duty cycle 0.05-0.95 (default 0.5)
+     * @param {number} options.pwmLfoRate - PWM: width sweep rate in Hz (default 0 = no sweep)
+     * @param {number} options.fmRatio - FM: modulator/carrier frequency ratio (default 2.5)
+     * @param {number} options.fmIndex - FM: modulation index (default 0.32)
+     * @param {string} options.fmEnvelope - FM: index envelope 'none', 'decay' or 'swell'
+     * @param {Float32Array} options.wavetable - Wavetable: one cycle (falls back to sine if missing)
+     * @param {string} options.wavetableKey - Wavetable: cache key for this table
      * @returns {AudioNode} OscillatorNode or AudioBufferSourceNode
+     * 
+     * Some voices are built from several nodes. They're returned as the main source
+     * with extras attached - always connect from `source._output || source` and
+     * start with startVoice() so helper oscillators run alongside.
      */
-    createCustomOscillator(frequency, type, duration) {
+    createCustomOscillator(frequency, type, duration, options = {}) {
         if (!this.audioContext) {
             console.error('AudioContext not initialized. Call initEffects() first.');
             return null;
@@ -296,6 +726,13 @@ export class AudioEngine {
         else if (type === 'fm') {
             // FM synthesis: one oscillator (modulator) modulates the frequency of another (carrier)
             // Creates complex, metallic, bell-like tones
+            //
+            // Two numbers decide the whole timbre:
+            // - Ratio (modulator freq ÷ carrier freq): whole numbers (1, 2, 3) sound
+            //   harmonic like brass/organ, odd fractions (2.5, 3.7) sound bell-like/metallic
+            // - Index (how hard the modulator pushes): 0 = pure sine, 1-3 = rich,
+            //   5+ = bright and clangy. Peak deviation in Hz = index × modulator freq
+            const { fmRatio = 2.5, fmIndex = 0.32, fmEnvelope = 'none' } = options;
             
             const carrier = this.audioContext.createOscillator();
             const modulator = this.audioContext.createOscillator();
@@ -305,8 +742,8 @@ export class AudioEngine {
             carrier.frequency.value = frequency;
             
             // Modulator = wobbles the carrier's frequency
-            modulator.frequency.value = frequency * 2.5; // Harmonic ratio (experiment with this!)
-            modulatorGain.gain.value = frequency * 0.8;  // Modulation depth (how much wobble)
+            modulator.frequency.value = frequency * fmRatio;              // Harmonic ratio
+            modulatorGain.gain.value = fmIndex * modulator.frequency.value; // Modulation depth (how much wobble)
             
             // Connect modulator to carrier's frequency parameter
             modulator.connect(modulatorGain);
@@ -319,6 +756,9 @@ export class AudioEngine {
             carrier._modulator = modulator;
             carrier._modulatorGain = modulatorGain;
             
+            // Index envelope is scheduled in startVoice() (needs the note's start/stop times)
+            carrier._fmEnvelope = fmEnvelope;
+            
             return carrier;
         } 
         
@@ -328,11 +768,32 @@ export class AudioEngine {
         else if (type === 'additive') {
             // Additive synthesis: combine multiple harmonics (1x, 2x, 3x, 4x frequency)
             // Creates rich, organ-like tones
-            // Note: Harmonics are added in the playback code, we just flag it here
+            // Harmonic count and brightness can be mapped from data (see createAdditiveWave)
+            const { harmonics = 8, brightness = 0.5 } = options;
+            const osc = this.audioContext.createOscillator();
+            osc.frequency.value = frequency;
+            osc.setPeriodicWave(this.createAdditiveWave(harmonics, brightness));
+            osc._isAdditive = true; // Type reads 'custom' now - flag keeps it identifiable
+            return osc;
+        } 
+        
+        // ========================================================================
+        // DATA WAVETABLE
+        // ========================================================================
+        else if (type === 'wavetable') {
+            // Wavetable: the dataset's own shape, played as one repeating cycle
+            // Spiky data (earthquakes) sounds buzzy, smooth data (temperatures) sounds mellow
+            const { wavetable = null, wavetableKey = 'default' } = options;
             const osc = this.audioContext.createOscillator();
             osc.frequency.value = frequency;
-            osc.type = 'sine';
-            osc._isAdditive = true; // Flag for special handling later
+            
+            const wave = this.createWavetableWave(wavetable, wavetableKey);
+            if (wave) {
+                osc.setPeriodicWave(wave);
+            } else {
+                osc.type = 'sine'; // No usable field selected yet
+            }
+            osc._isWavetable = true;
             return osc;
         } 
         
@@ -340,12 +801,57 @@ export class AudioEngine {
         // PULSE WIDTH MODULATION
         // ========================================================================
         else if (type === 'pwm') {
-            // PWM: square wave with varying duty cycle
-            // Creates pulsing, rhythmic tones
+            // PWM: pulse wave whose duty cycle (high time vs low time) can change
+            // 50% = square (hollow), 10% = thin and nasal, sweeping it = classic "chorus-y" synth
+            //
+            // Trick: a pulse is a sawtooth minus a delayed copy of itself.
+            // Each saw drops once per cycle; subtracting a copy delayed by (1 - width) × period
+            // makes the output jump up at one drop and down at the other, so the
+            // delay time sets the pulse width - and DelayNode.delayTime can be automated.
+            //
+            //   saw ──────────────────┐
+            //    └→ invert → delay ───┴→ output (pulse)
+            //                  ↑
+            //               LFO (optional width sweep)
+            const { pulseWidth = 0.5, pwmLfoRate = 0 } = options;
+            const width = Math.max(0.05, Math.min(0.95, pulseWidth));
+            const period = 1 / frequency;
+            
             const osc = this.audioContext.createOscillator();
             osc.frequency.value = frequency;
-            osc.type = 'square';
-            osc._isPWM = true; // Flag for future PWM implementation
+            osc.type = 'sawtooth';
+            
+            const inverter = this.audioContext.createGain();
+            inverter.gain.value = -1;
+            
+            // Room for one full period of a 10Hz note (well below audible pitches)
+            const widthDelay = this.audioContext.createDelay(0.1);
+            widthDelay.delayTime.value = (1 - width) * period;
+            
+            // Difference of two saws swings ±2 - halve it to match other waveforms
+            const output = this.audioContext.createGain();
+            output.gain.value = 0.5;
+            
+            osc.connect(output);
+            osc.connect(inverter);
+            inverter.connect(widthDelay);
+            widthDelay.connect(output);
+            
+            // Optional per-note LFO sweeps the width around its mapped value
+            // Depth shrinks near the edges so the pulse never collapses to silence
+            if (pwmLfoRate > 0) {
+                const depth = Math.min(0.35, width - 0.05, 0.95 - width);
+                const lfo = this.audioContext.createOscillator();
+                const lfoGain = this.audioContext.createGain();
+                lfo.frequency.value = pwmLfoRate;
+                lfoGain.gain.value = depth * period;
+                lfo.connect(lfoGain);
+                lfoGain.connect(widthDelay.delayTime);
+                osc._lfo = lfo;
+            }
+            
+            osc._output = output;
+            osc._isPWM = true;
             return osc;
         } 
         
@@ -361,14 +867,273 @@ export class AudioEngine {
         }
     }
     
+    /**
+     * Start a voice from createCustomOscillator() and schedule its stop
+     * 
+     * Starts the main source plus any helper oscillators riding along with it
+     * (FM modulator, PWM width LFO), so they all begin and end on the same sample.
+     * 
+     * FM index envelope (brightness that changes over the note):
+     * - 'decay' → starts bright, mellows toward a sine (plucked, bell, electric piano)
+     * - 'swell' → starts soft, brightens toward the end (bowed, brassy)
+     * 
+     * @param {AudioScheduledSourceNode} source - Result of createCustomOscillator()
+     * @param {number} startTime - Context time to start
+     * @param {number} stopTime - Context time to stop
+     */
+    startVoice(source, startTime, stopTime) {
+        [source, source._modulator, source._lfo].forEach(node => {
+            if (!node) return;
+            node.start(startTime);
+            node.stop(stopTime);
+        });
+        
+        // Exponential ramps can't start or end at 0 - an index of 0 is a plain sine anyway
+        const depth = source._modulatorGain ? source._modulatorGain.gain.value : 0;
+        if (depth > 0 && (source._fmEnvelope === 'decay' || source._fmEnvelope === 'swell')) {
+            const gain = source._modulatorGain.gain;
+            const from = source._fmEnvelope === 'decay' ? depth : depth * 0.05;
+            const to = source._fmEnvelope === 'decay' ? depth * 0.05 : depth;
+            gain.setValueAtTime(from, startTime);
+            gain.exponentialRampToValueAtTime(to, stopTime);
+        }
+    }
+    
+    /**
+     * Create an ADSR amplitude envelope for one note
+     * 
+     * Every voice (synth oscillator, sampler, grain cloud) runs through one of
+     * these, so they all share the same attack/decay/sustain/release shape.
+     * The release fits inside the note (see lib/envelope.js).
+     * 
+     * Curves:
+     * - 'exponential' → fades that sound even to the ear (default)
+     * - 'linear' → straight lines, punchier attacks and abrupt releases
+     * 
+     * @param {number} startTime - Context time the note starts
+     * @param {Object} options - planEnvelope() options (seconds): duration, attack, decay, sustain, release, peak, curve, minTime
+     * @returns {GainNode} Envelope gain (connect the voice through it)
+     */
+    createEnvelope(startTime, options) {
+        const envelope = this.audioContext.createGain();
+        this.scheduleAutomation(envelope.gain, startTime, planEnvelope(options));
+        return envelope;
+    }
+    
+    /**
+     * Schedule planned automation points on an AudioParam
+     * (amplitude envelopes, filter envelopes - anything planned as points)
+     * 
+     * @param {AudioParam} param - Param to automate
+     * @param {number} startTime - Context time the points are relative to
+     * @param {Array<Object>} points - { time (s), value, type: 'set' | 'linear' | 'exponential' }
+     */
+    scheduleAutomation(param, startTime, points) {
+        points.forEach(({ time, value, type }) => {
+            const at = startTime + time;
+            if (type === 'set') {
+                param.setValueAtTime(value, at);
+            } else if (type === 'linear') {
+                param.linearRampToValueAtTime(value, at);
+            } else {
+                param.exponentialRampToValueAtTime(value, at);
+            }
+        });
+    }
+    
+    /**
+     * Create an LFO (low frequency oscillator) - output swings between -1 and 1
+     * 
+     * Sine, triangle and square are ordinary oscillators running below
+     * hearing (0.1-20 Hz). Sample & hold loops a buffer of random steps;
+     * its playbackRate sets how many steps play per second.
+     * 
+     * The node keeps its rate param as _rate (scaled by _rateScale), so
+     * setLfoRate() works the same for both kinds.
+     * 
+     * @param {string} shape - 'sine', 'triangle', 'square' or 'sampleHold' (see LFO_SHAPES)
+     * @param {number} rate - Cycles (or random steps) per second
+     * @param {number} startTime - Context time to start
+     * @returns {AudioScheduledSourceNode} Started LFO - connect it with modulate(), stop it like a source
+     */
+    createLfo(shape, rate, startTime = this.audioContext.currentTime) {
+        let lfo;
+        
+        if (shape === 'sampleHold') {
+            if (!this.sampleHoldBuffer) {
+                this.sampleHoldBuffer = this._createSampleHoldBuffer();
+            }
+            lfo = this.audioContext.createBufferSource();
+            lfo.buffer = this.sampleHoldBuffer;
+            lfo.loop = true;
+            lfo._rate = lfo.playbackRate;
+            lfo._rateScale = SAMPLE_HOLD_STEP_LENGTH / this.sampleHoldBuffer.sampleRate;
+            lfo.start(startTime, Math.random() * this.sampleHoldBuffer.duration);
+        } else if (shape === 'sine' || shape === 'triangle' || shape === 'square') {
+            lfo = this.audioContext.createOscillator();
+            lfo.type = shape;
+            lfo._rate = lfo.frequency;
+            lfo._rateScale = 1;
+            lfo.start(startTime);
+        } else {
+            throw new Error(`Unknown LFO shape: ${shape}`);
+        }
+        
+        lfo._shape = shape;
+        lfo._rate.value = rate * lfo._rateScale;
+        return lfo;
+    }
+    
+    /**
+     * Change an LFO's rate
+     * 
+     * @param {AudioScheduledSourceNode} lfo - Result of createLfo()
+     * @param {number} rate - Hz
+     * @param {number} time - Context time the change applies from
+     * @param {number} glide - setTargetAtTime() time constant in seconds (0 = jump)
+     */
+    setLfoRate(lfo, rate, time = this.audioContext.currentTime, glide = 0) {
+        const value = rate * lfo._rateScale;
+        if (glide > 0) {
+            lfo._rate.setTargetAtTime(value, time, glide);
+        } else {
+            lfo._rate.setValueAtTime(value, time);
+        }
+    }
+    
+    /**
+     * Let an LFO move an AudioParam for one note
+     * 
+     * The param keeps its own (mapped) value - the LFO adds ±amount on top:
+     * 
+     *   lfo (-1..1) → depth gain (× amount) → param
+     * 
+     * @param {AudioScheduledSourceNode} lfo - Result of createLfo() or getGlobalLfo()
+     * @param {AudioParam} param - What to modulate (e.g., oscillator.detune, panner.pan)
+     * @param {number} amount - Swing in the param's units (see lfoAmount)
+     * @param {number} stopTime - Context time the note ends
+     * @returns {GainNode} Depth gain
+     */
+    modulate(lfo, param, amount, stopTime) {
+        const depth = this.audioContext.createGain();
+        depth.gain.value = amount;
+        lfo.connect(depth);
+        depth.connect(param);
+        
+        // A global LFO outlives the note - let go of the note's nodes once it has ended
+        // (offline renders finish long before any timer would fire)
+        if (!this.isOffline()) {
+            const delay = (stopTime - this.audioContext.currentTime) * 1000 + 100;
+            setTimeout(() => lfo.disconnect(depth), Math.max(0, delay));
+        }
+        
+        return depth;
+    }
+    
+    /**
+     * LFO shared by all notes, kept running between them
+     * Created on first use; a new shape replaces the running one
+     * 
+     * @param {string} slotId - LFO slot (e.g., 'lfo1')
+     * @param {string} shape - See createLfo()
+     * @returns {AudioScheduledSourceNode} Running LFO
+     */
+    getGlobalLfo(slotId, shape) {
+        const current = this.globalLfos.get(slotId);
+        if (current && current._shape === shape && current.context === this.audioContext) {
+            return current;
+        }
+        if (current && current.context === this.audioContext) {
+            current.stop();
+        }
+        
+        const lfo = this.createLfo(shape, 1);
+        this.globalLfos.set(slotId, lfo);
+        return lfo;
+    }
+    
+    /**
+     * Stop all global LFOs (the next note starts fresh ones)
+     * 
+     * @param {number} time - Context time to stop
+     */
+    stopGlobalLfos(time = this.audioContext?.currentTime ?? 0) {
+        this.globalLfos.forEach(lfo => {
+            if (lfo.context === this.audioContext) lfo.stop(time);
+        });
+        this.globalLfos.clear();
+    }
+    
+    /**
+     * Build the sample & hold loop: every step holds one random value
+     * @private
+     */
+    _createSampleHoldBuffer() {
+        const steps = sampleHoldSteps(SAMPLE_HOLD_STEPS);
+        const buffer = this.audioContext.createBuffer(1, SAMPLE_HOLD_STEPS * SAMPLE_HOLD_STEP_LENGTH, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        steps.forEach((value, step) => {
+            data.fill(value, step * SAMPLE_HOLD_STEP_LENGTH, (step + 1) * SAMPLE_HOLD_STEP_LENGTH);
+        });
+        
+        return buffer;
+    }
+    
+    /**
+     * Create a 3D panner for one note (spatial mode)
+     * 
+     * HRTF (head-related transfer function) filters the sound the way your head
+     * and ears do, so on headphones a note can sit behind you or above you -
+     * not just left/right like a StereoPanner.
+     * 
+     * Web Audio coordinates (listener at the origin, facing -Z):
+     * - azimuth 0° = front, 90° = right, -90° = left, ±180° = behind
+     * - elevation 0° = ear level, positive = above
+     * - distance in meters; the 'inverse' model makes far notes quieter
+     * 
+     * @param {number} azimuth - Horizontal angle in degrees (-180 to 180)
+     * @param {number} elevation - Vertical angle in degrees (-90 to 90)
+     * @param {number} distance - Distance from the listener in meters (≥ 1)
+     * @param {number} time - Context time the position applies from
+     * @returns {PannerNode} Positioned panner (connect it like a StereoPanner)
+     */
+    createSpatialPanner(azimuth = 0, elevation = 0, distance = 2, time = this.audioContext.currentTime) {
+        const panner = this.audioContext.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = 1;
+        panner.rolloffFactor = 1;
+        
+        const az = azimuth * Math.PI / 180;
+        const el = Math.max(-90, Math.min(90, elevation)) * Math.PI / 180;
+        const d = Math.max(1, distance);
+        
+        const x = d * Math.sin(az) * Math.cos(el);
+        const y = d * Math.sin(el);
+        const z = -d * Math.cos(az) * Math.cos(el);
+        
+        if (panner.positionX) {
+            panner.positionX.setValueAtTime(x, time);
+            panner.positionY.setValueAtTime(y, time);
+            panner.positionZ.setValueAtTime(z, time);
+        } else {
+            // Older Safari: no AudioParams for position
+            panner.setPosition(x, y, z);
+        }
+        
+        return panner;
+    }
+    
     /**
      * Load audio sample for sampler mode
      * 
      * Decodes audio file into AudioBuffer for playback with pitch shifting
-     * and offset control.
+     * and offset control. Each call ADDS the sample to the kit, so several
+     * files can be loaded and the sampleIndex parameter picks one per note.
      * 
      * @param {File} audioFile - Audio file from file input
-     * @returns {Promise<Object>} Sample info (duration, channels, sample rate)
+     * @returns {Promise<Object>} Sample info (kit index, duration, channels, sample rate)
      */
     async loadSample(audioFile) {
         // Initialize audio context if needed
@@ -389,17 +1154,18 @@ export class AudioEngine {
             const arrayBuffer = await audioFile.arrayBuffer();
             
             // Decode audio data (async operation)
-            this.sampleBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            this.sampleFileName = audioFile.name;
-            this.sampleDuration = this.sampleBuffer.duration;
+            const buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            this.sampleKit.push({ buffer, fileName: audioFile.name, duration: buffer.duration });
+            this._syncFirstSample();
             
-            console.log(`✅ Sample loaded: ${this.sampleDuration.toFixed(2)}s, ${this.sampleBuffer.numberOfChannels}ch, ${this.sampleBuffer.sampleRate}Hz`);
+            console.log(`✅ Sample ${this.sampleKit.length} loaded: ${buffer.duration.toFixed(2)}s, ${buffer.numberOfChannels}ch, ${buffer.sampleRate}Hz`);
             
             return {
-                fileName: this.sampleFileName,
-                duration: this.sampleDuration,
-                channels: this.sampleBuffer.numberOfChannels,
-                sampleRate: this.sampleBuffer.sampleRate
+                index: this.sampleKit.length - 1,
+                fileName: audioFile.name,
+                duration: buffer.duration,
+                channels: buffer.numberOfChannels,
+                sampleRate: buffer.sampleRate
             };
         } catch (error) {
             console.error('❌ Error loading sample:', error);
@@ -414,19 +1180,187 @@ export class AudioEngine {
     }
     
     /**
-     * Clear loaded sample
+     * Remove one sample from the kit
+     * 
+     * @param {number} index - Kit position (from loadSample() info)
+     */
+    removeSample(index) {
+        if (index < 0 || index >= this.sampleKit.length) return;
+        
+        const [removed] = this.sampleKit.splice(index, 1);
+        this._syncFirstSample();
+        console.log(`🗑️ Sample removed: ${removed.fileName}`);
+    }
+    
+    /**
+     * Clear all loaded samples
      */
     clearSample() {
-        this.sampleBuffer = null;
-        this.sampleFileName = '';
-        this.sampleDuration = 0;
-        console.log('🗑️ Sample cleared');
+        this.sampleKit = [];
+        this._syncFirstSample();
+        console.log('🗑️ Sample kit cleared');
+    }
+    
+    /**
+     * Pick the kit sample for a note
+     * 
+     * sampleIndex is 0-1 like sampleOffset, so it works for any kit size:
+     * the range is split into equal slices, one per sample.
+     * With 3 samples: 0-0.33 → first, 0.33-0.67 → second, 0.67-1 → third.
+     * Categorical fields land exactly on slices when the kit has one sample
+     * per category (categories are spread evenly over 0-1).
+     * 
+     * @param {number} sampleIndex - 0-1 position in the kit
+     * @returns {AudioBuffer|null} Selected sample (null if the kit is empty)
+     */
+    getKitBuffer(sampleIndex = 0) {
+        const count = this.sampleKit.length;
+        if (count === 0) return null;
+        
+        const position = Math.max(0, Math.min(1, sampleIndex || 0));
+        return this.sampleKit[Math.min(count - 1, Math.floor(position * count))].buffer;
+    }
+    
+    /**
+     * Play a grain cloud (granular sound source)
+     * 
+     * Every grain is a short AudioBufferSourceNode with its own gain window:
+     * a triangle fade (0 → 1 → 0) over the grain, so grains start and end
+     * at silence and overlap without clicks.
+     * 
+     * All grains are scheduled immediately on the audio clock and summed into
+     * one output GainNode - connect it like any other note source.
+     * Output is scaled by 1/√overlap so dense clouds aren't louder than sparse ones.
+     * 
+     * @param {AudioBuffer} buffer - Sample to read grains from
+     * @param {Array<Object>} grains - Result of planGrainCloud() (times relative to startTime)
+     * @param {number} startTime - Context time of the first grain
+     * @returns {GainNode} Summed cloud output
+     */
+    createGrainCloud(buffer, grains, startTime = this.audioContext.currentTime) {
+        const output = this.audioContext.createGain();
+        
+        if (grains.length === 0) return output;
+        
+        const spacing = grains.length > 1 ? grains[1].time - grains[0].time : grains[0].duration;
+        const overlap = grains[0].duration / Math.max(spacing, 0.001);
+        output.gain.value = 1 / Math.sqrt(Math.max(1, overlap));
+        
+        grains.forEach(grain => {
+            const source = this.audioContext.createBufferSource();
+            const grainWindow = this.audioContext.createGain();
+            const grainStart = startTime + grain.time;
+            
+            source.buffer = buffer;
+            source.playbackRate.value = grain.rate;
+            
+            grainWindow.gain.setValueAtTime(0, grainStart);
+            grainWindow.gain.linearRampToValueAtTime(1, grainStart + grain.duration / 2);
+            grainWindow.gain.linearRampToValueAtTime(0, grainStart + grain.duration);
+            
+            source.connect(grainWindow);
+            grainWindow.connect(output);
+            source.start(grainStart, grain.offset, grain.duration * grain.rate);
+            source.stop(grainStart + grain.duration);
+        });
+        
+        return output;
+    }
+    
+    /**
+     * Write an audification signal into an AudioBuffer
+     * 
+     * The signal is resampled from its playback rate (data samples per second)
+     * to the context's rate, so the buffer plays at the right speed with
+     * playbackRate 1. Capped at AUDIFICATION_DEFAULTS.maxDuration seconds.
+     * 
+     * @param {Float32Array} signal - Result of buildAudificationSignal()
+     * @param {number} rate - Data samples per second
+     * @returns {AudioBuffer|null} Mono buffer (null if nothing to play)
+     */
+    createAudificationBuffer(signal, rate) {
+        if (!this.audioContext) return null;
+        
+        const contextRate = this.audioContext.sampleRate;
+        const maxLength = Math.round(AUDIFICATION_DEFAULTS.maxDuration * contextRate);
+        const samples = resampleSignal(signal, rate, contextRate, maxLength);
+        if (samples.length === 0) return null;
+        
+        if (samples.length === maxLength) {
+            console.warn(`⚠️ Audification truncated to ${AUDIFICATION_DEFAULTS.maxDuration}s - raise the rate to hear it all`);
+        }
+        
+        const buffer = this.audioContext.createBuffer(1, samples.length, contextRate);
+        buffer.copyToChannel(samples, 0);
+        return buffer;
+    }
+    
+    /**
+     * Play an audification buffer through the effects rack
+     * Replaces any audification already playing.
+     * 
+     * @param {AudioBuffer} buffer - Result of createAudificationBuffer()
+     * @param {Object} options
+     * @param {boolean} options.loop - Repeat until stopAudification() (default false)
+     * @param {number} options.level - Output gain (default 0.5)
+     * @param {number} options.startTime - Context time to start
+     * @returns {AudioBufferSourceNode} Playing source (fires onended when done)
+     */
+    startAudification(buffer, { loop = false, level = 0.5, startTime = this.audioContext.currentTime } = {}) {
+        this.stopAudification(startTime);
+        
+        const source = this.audioContext.createBufferSource();
+        const gain = this.audioContext.createGain();
+        source.buffer = buffer;
+        source.loop = loop;
+        
+        // Short fade in - the first value is rarely 0, so starting at full level clicks
+        gain.gain.setValueAtTime(0, startTime);
+        gain.gain.linearRampToValueAtTime(level, startTime + 0.01);
+        
+        source.connect(gain);
+        gain.connect(this.effectsInput || this.audioContext.destination);
+        source.start(startTime);
+        
+        this.audificationSource = source;
+        this.audificationGain = gain;
+        return source;
+    }
+    
+    /**
+     * Fade out and stop the playing audification (if any)
+     * 
+     * @param {number} time - Context time to stop
+     */
+    stopAudification(time = this.audioContext?.currentTime ?? 0) {
+        if (!this.audificationSource) return;
+        
+        const fadeTime = 0.02;
+        this.audificationGain.gain.cancelScheduledValues(time);
+        this.audificationGain.gain.setValueAtTime(this.audificationGain.gain.value, time);
+        this.audificationGain.gain.linearRampToValueAtTime(0, time + fadeTime);
+        this.audificationSource.stop(time + fadeTime);
+        
+        this.audificationSource = null;
+        this.audificationGain = null;
+    }
+    
+    /**
+     * Keep the single-sample fields pointing at the first kit sample
+     * @private
+     */
+    _syncFirstSample() {
+        const first = this.sampleKit[0];
+        this.sampleBuffer = first ? first.buffer : null;
+        this.sampleFileName = first ? first.fileName : '';
+        this.sampleDuration = first ? first.duration : 0;
     }
     
     /**
      * Setup audio visualizer
      * 
-     * Creates an AnalyserNode and connects it to the effects chain.
+     * Creates an AnalyserNode and connects it to the master bus output (post-limiter),
+     * so the display shows exactly what reaches the speakers.
      * The analyser provides frequency data for waveform visualization.
      * 
      * @param {HTMLCanvasElement} canvas - Canvas element for visualization
@@ -459,40 +1393,23 @@ export class AudioEngine {
             this.analyser = this.audioContext.createAnalyser();
             this.analyserRight = this.audioContext.createAnalyser();
             
-            // Configure for smooth waveform display
-            const fftSize = 1024; // Good balance of detail and performance
-            const smoothing = 0.3; // Slight smoothing removes jitter
-            
-            this.analyser.fftSize = fftSize;
-            this.analyser.smoothingTimeConstant = smoothing;
             this.analyser.minDecibels = -100;
             this.analyser.maxDecibels = -10;
-            
-            this.analyserRight.fftSize = fftSize;
-            this.analyserRight.smoothingTimeConstant = smoothing;
             this.analyserRight.minDecibels = -100;
             this.analyserRight.maxDecibels = -10;
             
-            this.dataArray = new Uint8Array(fftSize);
-            this.dataArrayRight = new Uint8Array(fftSize);
+            // fftSize and smoothing depend on the mode (oscilloscope: 1024, 0.3)
+            this._configureAnalysers();
             
-            console.log('✅ Stereo Oscilloscope initialized, fftSize =', fftSize);
+            console.log('✅ Stereo analysers initialized, mode =', this.visualizerMode, ', fftSize =', this.analyser.fftSize);
             
-            // Connect: reverb → splitter → [L analyser, R analyser] → destination
-            if (this.reverbWetGain) {
-                try {
-                    this.reverbWetGain.disconnect();
-                } catch (e) {
-                    // Ignore if not connected
-                }
-                
-                this.reverbWetGain.connect(this.splitter);
+            // Tap the master bus: limiter → splitter → [L analyser, R analyser]
+            // Analysers only listen - the limiter already feeds the speakers
+            if (this.limiter) {
+                this.limiter.connect(this.splitter);
                 this.splitter.connect(this.analyser, 0); // Left
                 this.splitter.connect(this.analyserRight, 1); // Right
-                this.analyser.connect(this.audioContext.destination);
-                this.analyserRight.connect(this.audioContext.destination);
             } else {
-                this.analyser.connect(this.audioContext.destination);
                 console.warn('⚠️ Effects chain not initialized');
             }
         } else {
@@ -583,7 +1500,11 @@ export class AudioEngine {
             return null;
         }
         
-        // Schedule next frame (continuous animation)
+        // Schedule next frame (continuous animation) - one loop at a time,
+        // otherwise a second call (e.g., on play) would draw every frame twice
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
         this.animationId = requestAnimationFrame(() => this.drawVisualizer(isPlaying));
         
         // Canvas setup
@@ -596,6 +1517,22 @@ export class AudioEngine {
         this.visualizerCtx.fillStyle = '#fff';
         this.visualizerCtx.fillRect(0, 0, width, height);
         
+        const live = isPlaying && this.analyser && this.dataArray;
+        
+        if (live && this.visualizerMode === 'spectrum') {
+            this.drawSpectrum(width, height);
+            return this.animationId;
+        }
+        if (live && this.visualizerMode === 'spectrogram') {
+            this.drawSpectrogram(width, height);
+            return this.animationId;
+        }
+        if (live && this.visualizerMode === 'goniometer') {
+            this.drawGoniometer(width, height);
+            return this.animationId;
+        }
+        
+        // Oscilloscope layout (also used by the idle animation)
         // Draw labels
         this.visualizerCtx.fillStyle = '#999';
         this.visualizerCtx.font = '10px IBM Plex Sans, sans-serif';
@@ -611,7 +1548,7 @@ export class AudioEngine {
         this.visualizerCtx.stroke();
         
         // Draw either real audio data or idle animation
-        if (isPlaying && this.analyser && this.dataArray) {
+        if (live) {
             // PLAYING: Show real audio waveform from analyser
             this.analyser.getByteTimeDomainData(this.dataArray);
             if (this.analyserRight) {
@@ -655,6 +1592,389 @@ export class AudioEngine {
         return this.animationId;
     }
     
+    /**
+     * Spectrum mode: level per frequency on a log axis (20 Hz → Nyquist)
+     * 
+     * Filled curve = now, grey line = peak hold (falls back slowly),
+     * vertical lines = the heard note's frequency and filter cutoff.
+     */
+    drawSpectrum(width, height) {
+        const ctx = this.visualizerCtx;
+        const pixels = Math.max(1, Math.floor(width));
+        const levels = logSpectrum(this._readSpectrum(), this._getLogBinEdges(pixels));
+        
+        if (!this.spectrumPeaks || this.spectrumPeaks.length !== pixels) {
+            this.spectrumPeaks = new Float32Array(pixels);
+        }
+        updatePeakHold(this.spectrumPeaks, levels);
+        
+        this._drawFrequencyGrid(width, height, 'x');
+        
+        // Level: light fill under a solid line
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        for (let p = 0; p < pixels; p++) {
+            ctx.lineTo(p, height - levels[p] * height);
+        }
+        ctx.lineTo(pixels, height);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(0, 123, 255, 0.15)';
+        ctx.fill();
+        
+        ctx.beginPath();
+        for (let p = 0; p < pixels; p++) {
+            const y = height - levels[p] * height;
+            p === 0 ? ctx.moveTo(p, y) : ctx.lineTo(p, y);
+        }
+        ctx.strokeStyle = '#007bff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        
+        // Peak hold
+        ctx.beginPath();
+        for (let p = 0; p < pixels; p++) {
+            const y = height - this.spectrumPeaks[p] * height;
+            p === 0 ? ctx.moveTo(p, y) : ctx.lineTo(p, y);
+        }
+        ctx.strokeStyle = '#999';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        // Mapped frequency and filterFreq of the note being heard
+        const nyquist = this.audioContext.sampleRate / 2;
+        this._visualizerMarkerList().forEach(({ frequency, color, label }) => {
+            const x = frequencyToPosition(frequency, nyquist) * width;
+            ctx.strokeStyle = color;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = color;
+            ctx.fillText(label, x + 3, label === 'note' ? 26 : 38);
+        });
+        
+        ctx.fillStyle = '#999';
+        ctx.fillText('Spectrum', 8, 14);
+    }
+    
+    /**
+     * Spectrogram mode: the spectrum over time (newest on the right, low frequencies at the bottom)
+     * 
+     * Each frame scrolls the offscreen history one pixel left and paints one
+     * column. The heard note's frequency and filter cutoff are painted into the
+     * column too, so they leave traces you can follow over time.
+     */
+    drawSpectrogram(width, height) {
+        const w = Math.max(1, Math.floor(width));
+        const h = Math.max(1, Math.floor(height));
+        
+        if (!this.spectrogramCanvas || this.spectrogramCanvas.width !== w || this.spectrogramCanvas.height !== h) {
+            this.spectrogramCanvas = document.createElement('canvas');
+            this.spectrogramCanvas.width = w;
+            this.spectrogramCanvas.height = h;
+            const blank = this.spectrogramCanvas.getContext('2d');
+            blank.fillStyle = '#fff';
+            blank.fillRect(0, 0, w, h);
+        }
+        
+        const history = this.spectrogramCanvas.getContext('2d');
+        history.drawImage(this.spectrogramCanvas, -1, 0);
+        
+        // One pixel row per log-frequency step, bottom row = 20 Hz
+        const levels = logSpectrum(this._readSpectrum(), this._getLogBinEdges(h));
+        const column = history.createImageData(1, h);
+        const paint = (row, [r, g, b]) => {
+            column.data.set([r, g, b, 255], row * 4);
+        };
+        
+        for (let row = 0; row < h; row++) {
+            paint(row, spectrogramColor(levels[h - 1 - row]));
+        }
+        
+        const nyquist = this.audioContext.sampleRate / 2;
+        this._visualizerMarkerList().forEach(({ frequency, rgb }) => {
+            paint(Math.round((1 - frequencyToPosition(frequency, nyquist)) * (h - 1)), rgb);
+        });
+        
+        history.putImageData(column, w - 1, 0);
+        
+        this.visualizerCtx.drawImage(this.spectrogramCanvas, 0, 0, width, height);
+        this._drawFrequencyGrid(width, height, 'y');
+        this.visualizerCtx.fillStyle = '#999';
+        this.visualizerCtx.fillText('Spectrogram', 8, 14);
+    }
+    
+    /**
+     * Goniometer mode: every L/R sample pair as a dot (see goniometerPoint)
+     * 
+     * Centered mono notes draw a vertical line, panned notes lean toward
+     * their side, stereo delay and reverb spread into a cloud. Auto-scaled
+     * so quiet passages stay readable; the correlation number is the
+     * mono-compatibility reading (+1 mono, 0 wide, negative = phase problems).
+     */
+    drawGoniometer(width, height) {
+        const ctx = this.visualizerCtx;
+        this.analyser.getFloatTimeDomainData(this.floatData);
+        this.analyserRight.getFloatTimeDomainData(this.floatDataRight);
+        
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = height / 2 - 8;
+        
+        // Guides: M (mono) vertical, S (side) horizontal, L/R diagonals
+        ctx.strokeStyle = '#ddd';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY - radius);
+        ctx.lineTo(centerX, centerY + radius);
+        ctx.moveTo(centerX - radius, centerY);
+        ctx.lineTo(centerX + radius, centerY);
+        ctx.moveTo(centerX - radius / 2, centerY - radius / 2);
+        ctx.lineTo(centerX + radius / 2, centerY + radius / 2);
+        ctx.moveTo(centerX + radius / 2, centerY - radius / 2);
+        ctx.lineTo(centerX - radius / 2, centerY + radius / 2);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#999';
+        ctx.font = '10px IBM Plex Sans, sans-serif';
+        ctx.fillText('L', centerX - radius / 2 - 10, centerY - radius / 2);
+        ctx.fillText('R', centerX + radius / 2 + 4, centerY - radius / 2);
+        ctx.fillText('Goniometer', 8, 14);
+        
+        const points = [];
+        let peak = 0;
+        for (let i = 0; i < this.floatData.length; i++) {
+            const point = goniometerPoint(this.floatData[i], this.floatDataRight[i]);
+            peak = Math.max(peak, Math.abs(point.x), Math.abs(point.y));
+            points.push(point);
+        }
+        const scale = (0.9 * radius) / Math.max(0.05, peak);
+        
+        ctx.fillStyle = 'rgba(0, 123, 255, 0.5)';
+        points.forEach(({ x, y }) => {
+            ctx.fillRect(centerX + x * scale, centerY - y * scale, 1.5, 1.5);
+        });
+        
+        const correlation = stereoCorrelation(this.floatData, this.floatDataRight);
+        ctx.fillStyle = '#999';
+        ctx.fillText(`correlation ${correlation.toFixed(2)}`, 8, height - 8);
+    }
+    
+    /**
+     * Helper: frequency data of both channels, the louder bin of each
+     * @private
+     */
+    _readSpectrum() {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        this.analyserRight.getByteFrequencyData(this.frequencyDataRight);
+        for (let i = 0; i < this.frequencyData.length; i++) {
+            this.frequencyData[i] = Math.max(this.frequencyData[i], this.frequencyDataRight[i]);
+        }
+        return this.frequencyData;
+    }
+    
+    /**
+     * Helper: cached logBinEdges() for the current analyser and axis length
+     * @private
+     */
+    _getLogBinEdges(pixels) {
+        const key = `${this.analyser.frequencyBinCount}:${this.audioContext.sampleRate}:${pixels}`;
+        if (!this.logBinCache || this.logBinCache.key !== key) {
+            this.logBinCache = {
+                key,
+                edges: logBinEdges(this.analyser.frequencyBinCount, this.audioContext.sampleRate, pixels)
+            };
+        }
+        return this.logBinCache.edges;
+    }
+    
+    /**
+     * Helper: 100 Hz / 1 kHz / 10 kHz guides on a log axis ('x' = spectrum, 'y' = spectrogram)
+     * @private
+     */
+    _drawFrequencyGrid(width, height, axis) {
+        const ctx = this.visualizerCtx;
+        const nyquist = this.audioContext.sampleRate / 2;
+        
+        ctx.lineWidth = 1;
+        ctx.font = '10px IBM Plex Sans, sans-serif';
+        [[100, '100'], [1000, '1k'], [10000, '10k']].forEach(([frequency, label]) => {
+            const position = frequencyToPosition(frequency, nyquist);
+            ctx.strokeStyle = '#eee';
+            ctx.fillStyle = '#999';
+            ctx.beginPath();
+            if (axis === 'x') {
+                ctx.moveTo(position * width, 0);
+                ctx.lineTo(position * width, height);
+                ctx.stroke();
+                ctx.fillText(label, position * width + 3, height - 4);
+            } else {
+                const y = (1 - position) * height;
+                ctx.fillText(label, width - 24, y - 3);
+            }
+        });
+    }
+    
+    /**
+     * Helper: markers to draw (only those with a frequency)
+     * @private
+     */
+    _visualizerMarkerList() {
+        const { frequency, filterFreq } = this.visualizerMarkers;
+        return [
+            { frequency, label: 'note', color: '#000', rgb: [0, 0, 0] },
+            { frequency: filterFreq, label: 'filter', color: '#e6a700', rgb: [230, 167, 0] }
+        ].filter(marker => marker.frequency > 0);
+    }
+    
+    /**
+     * Switch the visualizer mode (works while playing)
+     * 
+     * Only the analysers' fftSize and smoothing change - the master bus tap
+     * stays connected, so the sound isn't touched.
+     * 
+     * @param {string} mode - Key of VISUALIZER_MODES
+     * @throws {Error} If the mode is unknown
+     */
+    setVisualizerMode(mode) {
+        if (!VISUALIZER_MODES[mode]) {
+            throw new Error(`Unknown visualizer mode: ${mode}`);
+        }
+        
+        this.visualizerMode = mode;
+        this.spectrogramCanvas = null; // Fresh history
+        this._configureAnalysers();
+        console.log(`📊 Visualizer: ${VISUALIZER_MODES[mode].label}`);
+    }
+    
+    /**
+     * Mark the note being heard on the spectrum and spectrogram
+     * 
+     * @param {Object} markers - { frequency, filterFreq } in Hz (missing = not drawn)
+     */
+    setVisualizerMarkers(markers = {}) {
+        this.visualizerMarkers = markers;
+    }
+    
+    /**
+     * Apply the mode's analyser settings and size the data arrays to match
+     * @private
+     */
+    _configureAnalysers() {
+        if (!this.analyser) return;
+        
+        const { fftSize, smoothing } = VISUALIZER_MODES[this.visualizerMode];
+        [this.analyser, this.analyserRight].forEach(analyser => {
+            analyser.fftSize = fftSize;
+            analyser.smoothingTimeConstant = smoothing;
+        });
+        
+        this.dataArray = new Uint8Array(fftSize);
+        this.dataArrayRight = new Uint8Array(fftSize);
+        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        this.frequencyDataRight = new Uint8Array(this.analyser.frequencyBinCount);
+        this.floatData = new Float32Array(fftSize);
+        this.floatDataRight = new Float32Array(fftSize);
+        this.spectrumPeaks = null;
+    }
+    
+    /**
+     * Connect the meter analysers to the limiter output (called by initEffects)
+     * @private
+     */
+    _setupMeterTap() {
+        const splitter = this.audioContext.createChannelSplitter(2);
+        this.meterAnalysers = [0, 1].map(channel => {
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = METER_FFT_SIZE;
+            analyser.smoothingTimeConstant = 0;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.limiter.connect(splitter);
+        this.meterBuffers = [new Float32Array(METER_FFT_SIZE), new Float32Array(METER_FFT_SIZE)];
+        
+        // Keep readings across rebuilds of the bus, unless the sample rate changed
+        if (!this.meter || this.meter.sampleRate !== this.audioContext.sampleRate) {
+            this.meter = new LoudnessMeter(this.audioContext.sampleRate);
+        }
+    }
+    
+    /**
+     * Start measuring the output (polls every 100ms until stopMeter)
+     * 
+     * @param {Object} options
+     * @param {boolean} options.reset - Start a new measurement (integrated loudness, clips)
+     */
+    startMeter({ reset = true } = {}) {
+        if (!this.meterAnalysers) return;
+        
+        if (reset) this.resetMeter();
+        this.meterLastTime = this.audioContext.currentTime;
+        clearInterval(this.meterTimer);
+        this.meterTimer = setInterval(() => this._pollMeter(), METER_POLL_MS);
+    }
+    
+    /**
+     * Stop polling - the readings stay available (getMeterReadings)
+     */
+    stopMeter() {
+        if (!this.meterTimer) return;
+        
+        this._pollMeter();
+        clearInterval(this.meterTimer);
+        this.meterTimer = null;
+    }
+    
+    /**
+     * Clear the readings (peaks, integrated loudness, clip list)
+     */
+    resetMeter() {
+        if (this.meter) this.meter.reset();
+        this.meterItemIndex = null;
+    }
+    
+    /**
+     * Tell the meter which data item is being heard (recorded with clip events)
+     * 
+     * @param {number|null} index - Item index
+     */
+    setMeterItem(index) {
+        this.meterItemIndex = index;
+    }
+    
+    /**
+     * Current output readings
+     * 
+     * @returns {Object|null} LoudnessMeter.getReadings() - null before the audio context exists
+     */
+    getMeterReadings() {
+        return this.meter ? this.meter.getReadings() : null;
+    }
+    
+    /**
+     * Feed the samples that arrived since the last poll into the meter
+     * 
+     * The audio clock says how many frames passed; those are the newest
+     * frames of the analysers' buffers. A poll that comes more than 0.68s
+     * late (background tab) skips the gap.
+     * @private
+     */
+    _pollMeter() {
+        const now = this.audioContext.currentTime;
+        const size = METER_FFT_SIZE;
+        const frames = Math.min(size, Math.round((now - this.meterLastTime) * this.audioContext.sampleRate));
+        if (frames <= 0) return;
+        this.meterLastTime = now;
+        
+        this.meterAnalysers.forEach((analyser, channel) => analyser.getFloatTimeDomainData(this.meterBuffers[channel]));
+        this.meter.process(this.meterBuffers[0].subarray(size - frames), this.meterBuffers[1].subarray(size - frames), this.meterItemIndex);
+        
+        if (this.onMeterUpdate) this.onMeterUpdate(this.meter.getReadings());
+    }
+    
     /**
      * Stop visualizer animation
      */
@@ -664,6 +1984,8 @@ export class AudioEngine {
             this.animationId = null;
         }
         
+        this.visualizerMarkers = {};
+        
         // Clear canvas
         if (this.visualizerCanvas && this.visualizerCtx) {
             const rect = this.visualizerCanvas.getBoundingClientRect();
@@ -680,8 +2002,10 @@ export class AudioEngine {
      * Call this when shutting down the application.
      */
     cleanup() {
-        // Stop visualizer
+        // Stop visualizer and meter
         this.stopVisualizer();
+        this.stopMeter();
+        this.stopGlobalLfos();
         
         // Close audio context to free resources
         if (this.audioContext) {
@@ -694,12 +2018,31 @@ export class AudioEngine {
         this.delayFeedbackGain = null;
         this.delayWetGain = null;
         this.delayDryGain = null;
+        this.delayNodeRight = null;
+        this.delayFeedbackGainRight = null;
+        this.delayDampingFilters = [];
         this.reverbNode = null;
         this.reverbWetGain = null;
         this.reverbDryGain = null;
+        this.effectsRack = null;
+        this.effectsInput = null;
+        this.masterGain = null;
+        this.compressor = null;
+        this.limiter = null;
         this.analyser = null;
         this.dataArray = null;
+        this.frequencyData = null;
+        this.spectrogramCanvas = null;
+        this.meterAnalysers = null;
+        this.meterBuffers = null;
+        this.sampleKit = [];
         this.sampleBuffer = null;
+        this.audificationSource = null;
+        this.audificationGain = null;
+        this.sampleHoldBuffer = null;
+        this.periodicWaveCache.clear();
+        this.impulseCache.clear();
+        this.reverbDecay = null;
         
         console.log('✅ Audio engine cleaned up');
     }
@@ -9,6 +9,9 @@
  * - extractPaths() - Find all field paths in nested data structures
  * - extractValues() - Extract values from array using path
  * - analyzeDataVariance() - Suggest optimal mapping curves based on data distribution
+ * - findGeoPaths() - Detect longitude/latitude fields
+ * - getCategories() - Sorted unique values of a text field
+ * - findCategoricalPaths() - Find text fields with a few repeating values (e.g., "type")
  * 
  * Dependencies:
  * - None (pure functions - no side effects, no external state)
@@ -27,7 +30,7 @@
  * Pure function - no side effects, same input = same output
  * 
  * This is used throughout DataSynth to access nested data fields.
- * Example: earthquake data has fields like "properties.mag" and "geometry.coordinates[0]"
+ * Example: earthquake data has fields like "properties.mag" and "geometry.coordinates.0"
  * 
  * @param {Object} obj - The object to traverse
  * @param {string} path - Dot-notation path (e.g., "properties.mag", "user.name")
@@ -85,6 +88,10 @@ export function safeId(path) {
  * If "temperature" only exists in 1 out of 100 items, it's probably not useful
  * for sonification. We filter out sparse fields (<10% coverage) to avoid null issues.
  * 
+ * Short numeric arrays (tuples, up to 4 numbers) are split into one path per slot.
+ * GeoJSON stores [longitude, latitude, depth] in "geometry.coordinates", so each
+ * becomes its own field: geometry.coordinates.0, .1, .2
+ * 
  * @param {Object|Array} obj - The data to analyze
  * @param {string} prefix - Current path prefix (used during recursion, usually empty to start)
  * @param {number} depth - Current recursion depth (prevents infinite loops, usually 0 to start)
@@ -173,7 +180,18 @@ export function extractPaths(obj, prefix = '', depth = 0) {
             const fullPath = prefix ? `${prefix}.${key}` : key;
             const value = obj[key];
             
-            if (Array.isArray(value)) {
+            if (isNumericTuple(value)) {
+                // Tuple like [lon, lat, depth] - one path per slot
+                value.forEach((slotValue, index) => {
+                    paths.push({
+                        path: `${fullPath}.${index}`,
+                        type: 'number',
+                        isArray: false,
+                        sample: slotValue,
+                        coverage: 1.0
+                    });
+                });
+            } else if (Array.isArray(value)) {
                 // Nested array - recurse
                 paths.push(...extractPaths(value, fullPath, depth + 1));
             } else if (typeof value === 'object' && value !== null) {
@@ -195,6 +213,18 @@ export function extractPaths(obj, prefix = '', depth = 0) {
     return paths;
 }
 
+/**
+ * Check whether an array is a short list of numbers (coordinates, RGB, vectors)
+ * @private
+ */
+function isNumericTuple(value) {
+    const maxTupleLength = 4;
+    return Array.isArray(value) &&
+        value.length > 0 &&
+        value.length <= maxTupleLength &&
+        value.every(v => typeof v === 'number');
+}
+
 /**
  * Extract values from array of objects using path
  * 
@@ -287,3 +317,82 @@ export function analyzeDataVariance(values) {
     return { curve: recommendedCurve, coefficient: coefficientOfVariation };
 }
 
+/**
+ * Find longitude and latitude fields among numeric paths
+ * Pure function - looks at path names only
+ * 
+ * Recognized names:
+ * - Longitude: lon, lng, long, longitude, or GeoJSON "coordinates.0"
+ * - Latitude: lat, latitude, or GeoJSON "coordinates.1"
+ * 
+ * @param {Array<Object>} numericPaths - Path objects from extractPaths()
+ * @returns {Object} { longitude: path|null, latitude: path|null }
+ * 
+ * Example:
+ *   findGeoPaths([{ path: 'geometry.coordinates.0' }, { path: 'geometry.coordinates.1' }])
+ *   → { longitude: 'geometry.coordinates.0', latitude: 'geometry.coordinates.1' }
+ */
+export function findGeoPaths(numericPaths) {
+    const lastKey = (path) => path.split('.').pop().toLowerCase();
+    const find = (names, coordinateIndex) => {
+        const byName = numericPaths.find(p => names.includes(lastKey(p.path)));
+        if (byName) return byName.path;
+        const byCoordinates = numericPaths.find(p => p.path.endsWith(`coordinates.${coordinateIndex}`));
+        return byCoordinates ? byCoordinates.path : null;
+    };
+    
+    return {
+        longitude: find(['lon', 'lng', 'long', 'longitude'], 0),
+        latitude: find(['lat', 'latitude'], 1)
+    };
+}
+
+/**
+ * Get the distinct categories of a text field
+ * Pure function - sorted so the same data always gives the same order
+ * 
+ * @param {Array} values - Raw values (e.g., from extractValues())
+ * @returns {Array<string>} Unique values as strings, sorted alphabetically
+ * 
+ * Example:
+ *   getCategories(['quarry blast', 'earthquake', 'earthquake']) → ['earthquake', 'quarry blast']
+ */
+export function getCategories(values) {
+    const unique = new Set(
+        values
+            .filter(v => v !== undefined && v !== null && v !== '')
+            .map(v => String(v))
+    );
+    return [...unique].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Find text fields that work as categories
+ * Pure function - no side effects
+ * 
+ * A categorical field has a small set of values that repeat across items,
+ * like earthquake "properties.type" (earthquake, quarry blast, explosion).
+ * Free text (place names, IDs) has almost one value per item - not useful for sound.
+ * 
+ * Categorical fields can be mapped like numeric ones: each category gets an
+ * evenly spaced position in the parameter range (see calculateAudioParams in main.js).
+ * 
+ * @param {Array|Object} data - Array of objects or single object
+ * @param {Array<Object>} paths - Path objects from extractPaths()
+ * @param {number} maxCategories - Fields with more distinct values are skipped
+ * @returns {Array<Object>} String path objects with an added `categories` list
+ * 
+ * Example:
+ *   findCategoricalPaths(earthquakes, extractPaths(earthquakes))
+ *   → [{ path: 'properties.type', type: 'string', categories: ['earthquake', 'explosion'], ... }]
+ */
+export function findCategoricalPaths(data, paths, maxCategories = 16) {
+    const itemCount = Array.isArray(data) ? data.length : 1;
+    
+    return paths
+        .filter(p => p.type === 'string')
+        .map(p => ({ ...p, categories: getCategories(extractValues(data, p.path)) }))
+        .filter(p => p.categories.length >= 2 &&
+            p.categories.length <= maxCategories &&
+            p.categories.length < itemCount);
+}
@@ -0,0 +1,185 @@
+/**
+ * MODULE: Drone
+ * 
+ * Purpose: Continuous mode - one sustained voice that glides from item to item instead of a note stream
+ * 
+ * Key Exports:
+ * - DRONE_PARAMS - Glide time and level (registered while continuous mode is on)
+ * - DRONE_WAVEFORMS - Waveforms a drone can sustain (single oscillators)
+ * - detuneSpread() - Cent offsets for a stack of detuned oscillators
+ * - glideTimeConstant() - Glide time → setTargetAtTime() time constant
+ * - DroneVoice class - Sustained oscillators → filter → panner → level
+ *   - start() - Start at the first item's values
+ *   - glideTo() - Glide frequency, cutoff, pan and level to the next item
+ *   - stop() - Fade out and stop
+ * 
+ * Dependencies:
+ * - lib/audio-engine.js (instance passed in - createCustomOscillator() for the waves)
+ * 
+ * Used By:
+ * - main.js (continuous mode playback and export)
+ * 
+ * Browser APIs Used:
+ * - Web Audio API (OscillatorNode, BiquadFilterNode, StereoPannerNode, GainNode)
+ */
+
+/**
+ * Glide time decides how "liquid" the contour is: short glides sound like
+ * a portamento melody, long glides (longer than the note spacing) never
+ * arrive - the voice keeps bending toward where the data is going.
+ */
+export const DRONE_PARAMS = [
+    { id: 'glideTime', label: 'Glide Time (ms)', min: 20, max: 3000, default: 300 },
+    { id: 'droneLevel', label: 'Drone Level', min: 0.05, max: 1, default: 0.6 }
+];
+
+/**
+ * Noise, FM and PWM voices are built from several nodes whose pitch can't
+ * glide as one - drones fall back to sawtooth for those
+ */
+export const DRONE_WAVEFORMS = ['sine', 'square', 'sawtooth', 'triangle', 'additive', 'wavetable'];
+
+/**
+ * Cent offsets for a stack of oscillators, spread evenly around 0
+ * Pure function
+ * 
+ * Slightly detuned copies beat against each other - the classic thick
+ * "supersaw" / string-pad sound.
+ * 
+ * @param {number} voices - Number of oscillators
+ * @param {number} cents - Offset of the outermost voices (±)
+ * @returns {Array<number>} One detune value per voice
+ * 
+ * Example:
+ *   detuneSpread(3, 12) → [-12, 0, 12]
+ */
+export function detuneSpread(voices, cents) {
+    if (voices <= 1) return [0];
+    return Array.from({ length: voices }, (_, i) => -cents + (2 * cents * i) / (voices - 1));
+}
+
+/**
+ * Convert a glide time to a setTargetAtTime() time constant
+ * Pure function
+ * 
+ * setTargetAtTime approaches the target exponentially and never quite arrives:
+ * after 3 time constants it's 95% of the way there - so "glide time" = 3τ.
+ * 
+ * @param {number} glideMs - Glide time in milliseconds
+ * @returns {number} Time constant in seconds
+ */
+export function glideTimeConstant(glideMs) {
+    return Math.max(0.001, glideMs / 1000 / 3);
+}
+
+/**
+ * Drone Voice Class
+ * 
+ * This is a class because:
+ * - The oscillators live for the whole playback, not one note
+ * - Every step glides the SAME nodes, so they must be kept between steps
+ * - The voice must be faded out and stopped when playback ends
+ * 
+ * Signal flow:
+ *   oscillators (detuned stack) → mix → filter → panner → level → effects rack
+ * 
+ * Usage:
+ *   const drone = new DroneVoice(engine, { type: 'sawtooth', voices: 3 });
+ *   drone.start(time, { frequency: 220, filterFreq: 1200, pan: 0, level: 0.6 });
+ *   drone.glideTo({ frequency: 330, filterFreq: 3000, pan: 0.5, level: 0.4 }, nextTime, 300);
+ *   drone.stop(endTime);
+ */
+export class DroneVoice {
+    /**
+     * @param {AudioEngine} engine - Engine with an AudioContext (live or offline)
+     * @param {Object} config
+     * @param {string} config.type - Waveform (see DRONE_WAVEFORMS)
+     * @param {number} config.voices - Oscillators in the stack (1-8)
+     * @param {number} config.detune - Spread of the stack in cents (±)
+     * @param {string} config.filterType - BiquadFilter type
+     * @param {Object} config.options - Timbre options for createCustomOscillator()
+     */
+    constructor(engine, { type = 'sawtooth', voices = 1, detune = 10, filterType = 'lowpass', options = {} } = {}) {
+        const ctx = engine.audioContext;
+        const waveform = DRONE_WAVEFORMS.includes(type) ? type : 'sawtooth';
+        const count = Math.max(1, Math.min(8, Math.round(voices)));
+        
+        this.oscillators = detuneSpread(count, detune).map(cents => {
+            const osc = engine.createCustomOscillator(440, waveform, 0, options);
+            osc.detune.value = cents;
+            return osc;
+        });
+        
+        // Stacked oscillators add up - scale so more voices aren't louder
+        this.mix = ctx.createGain();
+        this.mix.gain.value = 1 / Math.sqrt(count);
+        
+        this.filter = ctx.createBiquadFilter();
+        this.filter.type = filterType;
+        this.panner = ctx.createStereoPanner();
+        this.level = ctx.createGain();
+        this.level.gain.value = 0;
+        
+        this.oscillators.forEach(osc => osc.connect(this.mix));
+        this.mix.connect(this.filter);
+        this.filter.connect(this.panner);
+        this.panner.connect(this.level);
+        this.level.connect(engine.effectsInput || ctx.destination);
+        
+        this.stopped = false;
+    }
+    
+    /**
+     * Start the drone at the first item's values (fades in over the glide time)
+     * 
+     * @param {number} time - Context time to start
+     * @param {Object} target - { frequency, filterFreq, filterQ, pan, level }
+     * @param {number} glideMs - Fade-in time in milliseconds
+     */
+    start(time, target, glideMs = 300) {
+        this.oscillators.forEach(osc => {
+            osc.frequency.setValueAtTime(target.frequency, time);
+            osc.start(time);
+        });
+        this.filter.frequency.setValueAtTime(target.filterFreq, time);
+        this.filter.Q.setValueAtTime(target.filterQ ?? 1, time);
+        this.panner.pan.setValueAtTime(Math.max(-1, Math.min(1, target.pan)), time);
+        this.level.gain.setValueAtTime(0, time);
+        this.level.gain.setTargetAtTime(target.level, time, glideTimeConstant(glideMs));
+    }
+    
+    /**
+     * Glide to the next item's values
+     * Steps are scheduled in time order, so each glide picks up from
+     * wherever the previous one had got to.
+     * 
+     * @param {Object} target - { frequency, filterFreq, filterQ, pan, level }
+     * @param {number} time - Context time the glide starts
+     * @param {number} glideMs - Glide time in milliseconds
+     */
+    glideTo(target, time, glideMs = 300) {
+        if (this.stopped) return;
+        
+        const timeConstant = glideTimeConstant(glideMs);
+        this.oscillators.forEach(osc => osc.frequency.setTargetAtTime(target.frequency, time, timeConstant));
+        this.filter.frequency.setTargetAtTime(target.filterFreq, time, timeConstant);
+        this.filter.Q.setTargetAtTime(target.filterQ ?? 1, time, timeConstant);
+        this.panner.pan.setTargetAtTime(Math.max(-1, Math.min(1, target.pan)), time, timeConstant);
+        this.level.gain.setTargetAtTime(target.level, time, timeConstant);
+    }
+    
+    /**
+     * Fade out and stop the oscillators
+     * 
+     * @param {number} time - Context time the fade starts
+     * @param {number} release - Fade-out time in seconds
+     */
+    stop(time, release = 0.3) {
+        if (this.stopped) return;
+        this.stopped = true;
+        
+        this.level.gain.cancelScheduledValues(time);
+        this.level.gain.setTargetAtTime(0, time, release / 3);
+        this.oscillators.forEach(osc => osc.stop(time + release * 2));
+    }
+}
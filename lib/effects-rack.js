@@ -0,0 +1,674 @@
+/**
+ * MODULE: Effects Rack
+ * 
+ * Purpose: Ordered chain of effect modules with enable/bypass and mappable parameters
+ * 
+ * Key Exports:
+ * - EFFECT_DEFINITIONS - Every available effect (label, mappable params, factory)
+ * - DEFAULT_EFFECTS_CONFIG - Default chain order and which effects are on
+ * - DELAY_MODES / dampingToCutoff() - Delay routing modes and feedback damping curve
+ * - EffectsRack class - Builds the modules and wires them in order
+ *   - setOrder() - Reorder the chain (e.g., delay before reverb)
+ *   - setEnabled() - Turn an effect on or bypass it
+ *   - applyParams() - Apply per-note audio params to enabled effects
+ *   - dispose() - Stop LFOs and disconnect everything
+ * 
+ * Dependencies:
+ * - lib/scheduler.js (runAtRenderTime - deferred reverb swaps in offline renders)
+ * 
+ * Used By:
+ * - lib/audio-engine.js (effects chain)
+ * - main.js (rack settings UI, param registration)
+ * 
+ * Browser APIs Used:
+ * - Web Audio API (ConvolverNode, DelayNode, WaveShaperNode, BiquadFilterNode, OscillatorNode)
+ */
+
+import { runAtRenderTime } from './scheduler.js';
+
+// ============================================================================
+// EFFECT MODULE FACTORIES
+// ============================================================================
+// Every factory returns the same shape so the rack can treat them alike:
+// {
+//   input: AudioNode,          ← rack connects the previous module here
+//   output: AudioNode,         ← and this to the next module
+//   nodes: { ... },            ← internal nodes (for code that needs direct access)
+//   lfos: [OscillatorNode],    ← started on creation, stopped by dispose()
+//   setParams(audioParams, time)  ← per-note parameter updates
+// }
+// Reverb also has setImpulse(buffer, time) to crossfade to a new impulse response,
+// delay has setMode(mode, time) to switch classic / ping-pong routing.
+//
+// Wet/dry modules follow one pattern:
+//   input ─→ dry ──────────────→ output
+//     └───→ [effect] → wet ────↗
+
+/**
+ * Helper: set a wet/dry pair from a 0-1 mix value (skips if not mapped)
+ */
+function setMix(wet, dry, mix, time) {
+    if (mix === null || mix === undefined) return;
+    const value = Math.max(0, Math.min(1, mix));
+    wet.gain.setValueAtTime(value, time);
+    dry.gain.setValueAtTime(1 - value, time);
+}
+
+/**
+ * Helper: create input/output/wet/dry gains and the dry path
+ */
+function createWetDry(ctx, mix) {
+    const input = ctx.createGain();
+    const output = ctx.createGain();
+    const wet = ctx.createGain();
+    const dry = ctx.createGain();
+    wet.gain.value = mix;
+    dry.gain.value = 1 - mix;
+    input.connect(dry);
+    dry.connect(output);
+    wet.connect(output);
+    return { input, output, wet, dry };
+}
+
+/**
+ * Reverb: convolution with an impulse response (generated or loaded from a file)
+ * Parameters (reverbDecay, reverbMix) are core params - main.js updates them per note
+ * 
+ * Two convolvers, one audible at a time:
+ *   input ─→ convolver A → gain A ─┐
+ *     └───→ convolver B → gain B ──┴→ wet
+ * Replacing the buffer of a convolver that's playing cuts its tail off (a click).
+ * setImpulse() loads the new IR into the SILENT convolver, then crossfades to it -
+ * the old room's tail fades out while the new one fades in.
+ * 
+ * Crossfades can be scheduled ahead (notes are queued early), so the other
+ * convolver may still be fading out when the next change arrives. Then the
+ * change waits as a pending swap - only the newest is kept - until that fade
+ * is over: on a timer in live contexts, or by pausing an offline render at
+ * the fade's end (its clock only moves while it renders, so timers don't help).
+ * 
+ * @param {BaseAudioContext} ctx
+ * @param {Object} options - { impulse: AudioBuffer }
+ */
+function createReverb(ctx, { impulse = null } = {}) {
+    const { input, output, wet, dry } = createWetDry(ctx, 0.3);
+    const convolvers = [ctx.createConvolver(), ctx.createConvolver()];
+    const convolverGains = [ctx.createGain(), ctx.createGain()];
+    
+    convolvers.forEach((convolver, i) => {
+        convolverGains[i].gain.value = i === 0 ? 1 : 0;
+        input.connect(convolver);
+        convolver.connect(convolverGains[i]);
+        convolverGains[i].connect(wet);
+    });
+    convolvers[0].buffer = impulse;
+    
+    const nodes = { convolver: convolvers[0], convolvers, convolverGains, wet, dry };
+    const fadeEnds = [0, 0]; // Context time each convolver's last fade-out is over
+    let active = 0;
+    let pending = null;      // { buffer, time, fadeTime } waiting for the other convolver to go silent
+    let pendingTimer = null;
+    
+    const module = {
+        input,
+        output,
+        nodes,
+        lfos: [],
+        setParams() {},
+        onSwap: null, // Called with the newly audible convolver (swaps can happen later than setImpulse)
+        
+        /**
+         * Crossfade to a new impulse response (deferred while the other convolver is still fading out)
+         * @param {AudioBuffer} buffer - New impulse response
+         * @param {number} time - Context time to start the crossfade
+         * @param {number} fadeTime - Crossfade length in seconds
+         */
+        setImpulse(buffer, time = ctx.currentTime, fadeTime = 0.15) {
+            pending = { buffer, time, fadeTime };
+            applyPending();
+        }
+    };
+    
+    function applyPending() {
+        clearTimeout(pendingTimer);
+        pendingTimer = null;
+        if (!pending) return;
+        
+        const next = 1 - active;
+        const wait = fadeEnds[next] - ctx.currentTime;
+        // Under half a sample to go counts as over (render pauses land on block boundaries)
+        if (wait > 0.5 / ctx.sampleRate) {
+            if (typeof ctx.startRendering === 'function') {
+                runAtRenderTime(ctx, fadeEnds[next], applyPending);
+            } else {
+                pendingTimer = setTimeout(applyPending, wait * 1000 + 10);
+            }
+            return;
+        }
+        
+        // The other convolver is silent - safe to replace its buffer
+        const { buffer, time, fadeTime } = pending;
+        const start = Math.max(time, ctx.currentTime);
+        pending = null;
+        convolvers[next].buffer = buffer;
+        
+        convolverGains[active].gain.setValueAtTime(1, start);
+        convolverGains[active].gain.linearRampToValueAtTime(0, start + fadeTime);
+        convolverGains[next].gain.setValueAtTime(0, start);
+        convolverGains[next].gain.linearRampToValueAtTime(1, start + fadeTime);
+        
+        fadeEnds[active] = start + fadeTime;
+        active = next;
+        nodes.convolver = convolvers[active];
+        if (module.onSwap) module.onSwap(nodes.convolver);
+    }
+    
+    return module;
+}
+
+/**
+ * Delay modes
+ * - classic: one delay line feeding back into itself (echoes in the center)
+ * - pingpong: two lines feeding into EACH OTHER, one per side - echoes bounce left ↔ right
+ */
+export const DELAY_MODES = ['classic', 'pingpong'];
+
+/**
+ * Convert delayDamping (0-1) to the cutoff of the lowpass in the feedback path
+ * 0 → 20kHz (bright, digital repeats), 1 → 500Hz (dark, tape-like repeats)
+ * Exponential so the middle of the range sounds like the middle (~3kHz)
+ * 
+ * @param {number} damping - 0-1
+ * @returns {number} Cutoff in Hz
+ */
+export function dampingToCutoff(damping) {
+    const amount = Math.max(0, Math.min(1, damping));
+    return 20000 * Math.pow(500 / 20000, amount);
+}
+
+/**
+ * Delay: echo with feedback loop, classic or ping-pong
+ * Parameters (delayTime, delayFeedback, delayMix, delayDamping) are core params -
+ * main.js updates them per note
+ * 
+ * Both modes are wired at once; setMode() opens one set of routing gains:
+ * 
+ *   input → delay ─→ damping → feedback ─→ [classicReturn] → delay
+ *             │                        └─→ [crossFeed] → delayRight → dampingRight → feedbackRight → delay
+ *             ├─→ [classicOut] ──────────────────────────────────────→ wet
+ *             └─→ merger L ─┐
+ *   delayRight ─→ merger R ─┴→ [pingOut] ────────────────────────────→ wet
+ * 
+ * The damping lowpass sits INSIDE the loop, so every repeat is darker than the
+ * last - like echoes in a real room or on tape.
+ * 
+ * @param {BaseAudioContext} ctx
+ */
+function createDelay(ctx) {
+    const { input, output, wet, dry } = createWetDry(ctx, 0.3);
+    const delay = ctx.createDelay(2.0); // Max 2 seconds delay
+    const feedback = ctx.createGain();
+    const delayRight = ctx.createDelay(2.0);
+    const feedbackRight = ctx.createGain();
+    const damping = ctx.createBiquadFilter();
+    const dampingRight = ctx.createBiquadFilter();
+    const merger = ctx.createChannelMerger(2);
+    
+    // Routing gains (classic on by default)
+    const classicReturn = ctx.createGain();
+    const crossFeed = ctx.createGain();
+    const classicOut = ctx.createGain();
+    const pingOut = ctx.createGain();
+    crossFeed.gain.value = 0;
+    pingOut.gain.value = 0;
+    
+    [damping, dampingRight].forEach(filter => {
+        filter.type = 'lowpass';
+        filter.frequency.value = dampingToCutoff(0);
+        filter.Q.value = 0.5;
+    });
+    
+    input.connect(delay);
+    delay.connect(damping);
+    damping.connect(feedback);
+    feedback.connect(classicReturn);
+    classicReturn.connect(delay); // Creates repeating echo
+    feedback.connect(crossFeed);
+    crossFeed.connect(delayRight);
+    delayRight.connect(dampingRight);
+    dampingRight.connect(feedbackRight);
+    feedbackRight.connect(delay); // Right side bounces back to the left
+    
+    delay.connect(classicOut);
+    classicOut.connect(wet);
+    delay.connect(merger, 0, 0);
+    delayRight.connect(merger, 0, 1);
+    merger.connect(pingOut);
+    pingOut.connect(wet);
+    
+    return {
+        input,
+        output,
+        nodes: { delay, feedback, delayRight, feedbackRight, damping, dampingRight, wet, dry },
+        lfos: [],
+        setParams() {},
+        
+        /**
+         * Switch between classic and ping-pong routing
+         * @param {string} mode - 'classic' or 'pingpong'
+         * @param {number} time - Context time to switch
+         */
+        setMode(mode, time = ctx.currentTime) {
+            const ping = mode === 'pingpong' ? 1 : 0;
+            classicReturn.gain.setValueAtTime(1 - ping, time);
+            classicOut.gain.setValueAtTime(1 - ping, time);
+            crossFeed.gain.setValueAtTime(ping, time);
+            pingOut.gain.setValueAtTime(ping, time);
+        }
+    };
+}
+
+/**
+ * Chorus: two short delays wobbled by an LFO (left and right in opposite phase)
+ * 
+ * Copies of the signal arrive a few milliseconds late by an amount that keeps
+ * changing - the tiny pitch drift makes one voice sound like several.
+ * 
+ * @param {BaseAudioContext} ctx
+ */
+function createChorus(ctx) {
+    const { input, output, wet, dry } = createWetDry(ctx, 0.5);
+    const baseDelay = 0.02; // 20ms - short enough to blend, long enough to thicken
+    
+    const delayLeft = ctx.createDelay(0.1);
+    const delayRight = ctx.createDelay(0.1);
+    delayLeft.delayTime.value = baseDelay;
+    delayRight.delayTime.value = baseDelay;
+    
+    // One LFO, inverted for the right side → stereo width
+    const lfo = ctx.createOscillator();
+    const lfoDepth = ctx.createGain();
+    const lfoInvert = ctx.createGain();
+    lfo.frequency.value = 1.5;
+    lfoDepth.gain.value = 0.002;
+    lfoInvert.gain.value = -1;
+    
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(delayLeft.delayTime);
+    lfoDepth.connect(lfoInvert);
+    lfoInvert.connect(delayRight.delayTime);
+    lfo.start();
+    
+    const merger = ctx.createChannelMerger(2);
+    input.connect(delayLeft);
+    input.connect(delayRight);
+    delayLeft.connect(merger, 0, 0);
+    delayRight.connect(merger, 0, 1);
+    merger.connect(wet);
+    
+    return {
+        input,
+        output,
+        nodes: { delayLeft, delayRight, lfo, lfoDepth, wet, dry },
+        lfos: [lfo],
+        setParams(params, time) {
+            if (params.chorusRate !== null && params.chorusRate !== undefined) {
+                lfo.frequency.setValueAtTime(params.chorusRate, time);
+            }
+            if (params.chorusDepth !== null && params.chorusDepth !== undefined) {
+                // Depth 0-1 → 0-5ms of delay swing
+                lfoDepth.gain.setValueAtTime(Math.max(0, Math.min(1, params.chorusDepth)) * 0.005, time);
+            }
+            setMix(wet, dry, params.chorusMix, time);
+        }
+    };
+}
+
+/**
+ * Build a soft-clipping distortion curve
+ * 
+ * y = (1 + k) × x / (1 + k × |x|)
+ * k = 0 is a straight line (clean), larger k bends it into a flat-topped "S" (fuzz)
+ * 
+ * @param {number} drive - 0 (clean) to 1 (heavy)
+ * @returns {Float32Array} Curve for WaveShaperNode
+ */
+export function createDistortionCurve(drive) {
+    const k = Math.max(0, Math.min(1, drive)) * 100;
+    const samples = 2048;
+    const curve = new Float32Array(samples);
+    for (let i = 0; i < samples; i++) {
+        const x = (i / (samples - 1)) * 2 - 1;
+        curve[i] = (1 + k) * x / (1 + k * Math.abs(x));
+    }
+    return curve;
+}
+
+/**
+ * Distortion: waveshaper (bends the waveform so loud parts flatten out)
+ * 
+ * @param {BaseAudioContext} ctx
+ */
+function createDistortion(ctx) {
+    const { input, output, wet, dry } = createWetDry(ctx, 0.5);
+    const shaper = ctx.createWaveShaper();
+    shaper.oversample = '4x'; // Reduces harsh aliasing from the new harmonics
+    shaper.curve = createDistortionCurve(0.3);
+    
+    // Distorted signal is much louder - bring it back in line with the dry signal
+    const makeup = ctx.createGain();
+    makeup.gain.value = 0.5;
+    
+    input.connect(shaper);
+    shaper.connect(makeup);
+    makeup.connect(wet);
+    
+    // Rebuilding the curve every note is wasteful - only when drive moves noticeably
+    let currentDrive = 0.3;
+    
+    return {
+        input,
+        output,
+        nodes: { shaper, makeup, wet, dry },
+        lfos: [],
+        setParams(params, time) {
+            const drive = params.distortionDrive;
+            if (drive !== null && drive !== undefined && Math.abs(drive - currentDrive) > 0.02) {
+                shaper.curve = createDistortionCurve(drive);
+                currentDrive = drive;
+            }
+            setMix(wet, dry, params.distortionMix, time);
+        }
+    };
+}
+
+/**
+ * Build a staircase curve that rounds samples to 2^bits levels
+ * 
+ * @param {number} bits - Bit depth (1-16)
+ * @returns {Float32Array} Curve for WaveShaperNode
+ */
+export function createBitcrushCurve(bits) {
+    const levels = Math.pow(2, Math.max(1, Math.min(16, Math.round(bits)))) / 2;
+    const samples = 8192;
+    const curve = new Float32Array(samples);
+    for (let i = 0; i < samples; i++) {
+        const x = (i / (samples - 1)) * 2 - 1;
+        curve[i] = Math.round(x * levels) / levels;
+    }
+    return curve;
+}
+
+/**
+ * Bitcrusher: reduce bit depth (fewer volume steps = gritty, lo-fi digital sound)
+ * 
+ * Uses a staircase WaveShaper curve. Note: this only crushes bit depth -
+ * sample rate reduction needs an AudioWorklet (separate file, async setup).
+ * 
+ * @param {BaseAudioContext} ctx
+ */
+function createBitcrusher(ctx) {
+    const { input, output, wet, dry } = createWetDry(ctx, 0.5);
+    const shaper = ctx.createWaveShaper();
+    shaper.curve = createBitcrushCurve(6);
+    
+    input.connect(shaper);
+    shaper.connect(wet);
+    
+    let currentBits = 6;
+    
+    return {
+        input,
+        output,
+        nodes: { shaper, wet, dry },
+        lfos: [],
+        setParams(params, time) {
+            const bits = params.bitcrusherBits;
+            if (bits !== null && bits !== undefined && Math.round(bits) !== currentBits) {
+                currentBits = Math.round(bits);
+                shaper.curve = createBitcrushCurve(currentBits);
+            }
+            setMix(wet, dry, params.bitcrusherMix, time);
+        }
+    };
+}
+
+/**
+ * Phaser: chain of allpass filters with swept center frequency
+ * 
+ * Allpass filters shift phase without changing volume. Mixed with the dry
+ * signal, some frequencies cancel - sweeping them creates the "whoosh".
+ * 
+ * @param {BaseAudioContext} ctx
+ */
+function createPhaser(ctx) {
+    const { input, output, wet, dry } = createWetDry(ctx, 0.5);
+    const stages = 4;
+    const baseFrequency = 1000;
+    
+    const lfo = ctx.createOscillator();
+    const lfoDepth = ctx.createGain();
+    lfo.frequency.value = 0.5;
+    lfoDepth.gain.value = 600;
+    lfo.connect(lfoDepth);
+    lfo.start();
+    
+    const filters = [];
+    let previous = input;
+    for (let i = 0; i < stages; i++) {
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'allpass';
+        filter.frequency.value = baseFrequency;
+        filter.Q.value = 0.7;
+        lfoDepth.connect(filter.frequency);
+        previous.connect(filter);
+        previous = filter;
+        filters.push(filter);
+    }
+    previous.connect(wet);
+    
+    return {
+        input,
+        output,
+        nodes: { filters, lfo, lfoDepth, wet, dry },
+        lfos: [lfo],
+        setParams(params, time) {
+            if (params.phaserRate !== null && params.phaserRate !== undefined) {
+                lfo.frequency.setValueAtTime(params.phaserRate, time);
+            }
+            if (params.phaserDepth !== null && params.phaserDepth !== undefined) {
+                // Depth 0-1 → sweep up to ±900Hz around the 1kHz center
+                lfoDepth.gain.setValueAtTime(Math.max(0, Math.min(1, params.phaserDepth)) * 900, time);
+            }
+            setMix(wet, dry, params.phaserMix, time);
+        }
+    };
+}
+
+// ============================================================================
+// EFFECT DEFINITIONS
+// ============================================================================
+
+/**
+ * Available effects
+ * `params` are registered with ParameterMapper while the effect is enabled,
+ * so data can drive them like any other audio parameter.
+ * Reverb and delay params are always available (core params), so they're not listed here.
+ */
+export const EFFECT_DEFINITIONS = {
+    reverb: {
+        label: 'Reverb',
+        params: [],
+        create: createReverb
+    },
+    delay: {
+        label: 'Delay',
+        params: [],
+        create: createDelay
+    },
+    chorus: {
+        label: 'Chorus',
+        params: [
+            { id: 'chorusRate', label: 'Chorus Rate (Hz)', min: 0.1, max: 5, default: 1.5 },
+            { id: 'chorusDepth', label: 'Chorus Depth', min: 0, max: 1, default: 0.4 },
+            { id: 'chorusMix', label: 'Chorus Mix', min: 0, max: 1, default: 0.5 }
+        ],
+        create: createChorus
+    },
+    distortion: {
+        label: 'Distortion',
+        params: [
+            { id: 'distortionDrive', label: 'Distortion Drive', min: 0, max: 1, default: 0.3 },
+            { id: 'distortionMix', label: 'Distortion Mix', min: 0, max: 1, default: 0.5 }
+        ],
+        create: createDistortion
+    },
+    bitcrusher: {
+        label: 'Bitcrusher',
+        params: [
+            { id: 'bitcrusherBits', label: 'Bitcrusher Bits', min: 2, max: 12, default: 6 },
+            { id: 'bitcrusherMix', label: 'Bitcrusher Mix', min: 0, max: 1, default: 0.5 }
+        ],
+        create: createBitcrusher
+    },
+    phaser: {
+        label: 'Phaser',
+        params: [
+            { id: 'phaserRate', label: 'Phaser Rate (Hz)', min: 0.1, max: 8, default: 0.5 },
+            { id: 'phaserDepth', label: 'Phaser Depth', min: 0, max: 1, default: 0.6 },
+            { id: 'phaserMix', label: 'Phaser Mix', min: 0, max: 1, default: 0.5 }
+        ],
+        create: createPhaser
+    }
+};
+
+/**
+ * Default chain: insert effects first (they color the dry note), then space (reverb → delay)
+ * Only reverb and delay are on by default - same sound as before the rack existed
+ */
+export const DEFAULT_EFFECTS_CONFIG = {
+    order: ['distortion', 'bitcrusher', 'chorus', 'phaser', 'reverb', 'delay'],
+    enabled: { distortion: false, bitcrusher: false, chorus: false, phaser: false, reverb: true, delay: true }
+};
+
+// ============================================================================
+// EFFECTS RACK
+// ============================================================================
+
+/**
+ * Effects Rack Class
+ * 
+ * This is a class because:
+ * - All modules are built once per AudioContext and rewired on changes
+ * - Order and enabled state must persist between rewires
+ * - LFOs must be stopped when the rack is thrown away
+ * 
+ * Every module is always built; bypassing only changes the wiring,
+ * so turning an effect back on is instant (no nodes to rebuild).
+ * 
+ * Usage:
+ *   const rack = new EffectsRack(audioContext, DEFAULT_EFFECTS_CONFIG, { reverb: { impulse } });
+ *   noteOutput.connect(rack.input);
+ *   rack.output.connect(masterGain);
+ * 
+ *   rack.setOrder(['delay', 'reverb', ...]);   // delay before reverb
+ *   rack.setEnabled('chorus', true);
+ */
+export class EffectsRack {
+    /**
+     * @param {BaseAudioContext} audioContext - Context to build modules in
+     * @param {Object} config - { order: [type], enabled: { type: boolean } }
+     * @param {Object} moduleOptions - Per-type factory options (e.g., { reverb: { impulse } })
+     */
+    constructor(audioContext, config = DEFAULT_EFFECTS_CONFIG, moduleOptions = {}) {
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        
+        this.order = [];
+        this.enabled = { ...config.enabled };
+        
+        // Build every known module (type → module)
+        this.modules = {};
+        Object.entries(EFFECT_DEFINITIONS).forEach(([type, definition]) => {
+            this.modules[type] = definition.create(audioContext, moduleOptions[type]);
+        });
+        
+        this.setOrder(config.order);
+    }
+    
+    /**
+     * Wire input → enabled modules (in order) → output
+     */
+    connect() {
+        // Clear previous wiring between modules (internal connections stay)
+        this.input.disconnect();
+        Object.values(this.modules).forEach(module => module.output.disconnect());
+        
+        let previous = this.input;
+        this.order.forEach(type => {
+            if (!this.enabled[type] || !this.modules[type]) return;
+            previous.connect(this.modules[type].input);
+            previous = this.modules[type].output;
+        });
+        previous.connect(this.output);
+    }
+    
+    /**
+     * Change chain order
+     * 
+     * @param {Array<string>} order - Effect types, first = closest to the notes
+     *   (types left out keep their relative order at the end)
+     */
+    setOrder(order) {
+        const known = order.filter(type => this.modules[type]);
+        const missing = Object.keys(this.modules).filter(type => !known.includes(type));
+        this.order = [...known, ...missing];
+        this.connect();
+    }
+    
+    /**
+     * Enable or bypass an effect
+     * 
+     * @param {string} type - Effect type (e.g., 'chorus')
+     * @param {boolean} enabled - true = in the chain, false = bypassed
+     */
+    setEnabled(type, enabled) {
+        this.enabled[type] = enabled;
+        this.connect();
+    }
+    
+    /**
+     * Get a module by type
+     * 
+     * @param {string} type - Effect type
+     * @returns {Object|null} Module ({ input, output, nodes, ... })
+     */
+    getModule(type) {
+        return this.modules[type] || null;
+    }
+    
+    /**
+     * Apply per-note audio params to every enabled module
+     * 
+     * @param {Object} audioParams - Result of calculateAudioParams()
+     * @param {number} time - Context time to apply at
+     */
+    applyParams(audioParams, time) {
+        this.order.forEach(type => {
+            if (this.enabled[type]) this.modules[type].setParams(audioParams, time);
+        });
+    }
+    
+    /**
+     * Stop LFOs and disconnect all modules
+     */
+    dispose() {
+        this.input.disconnect();
+        Object.values(this.modules).forEach(module => {
+            module.lfos.forEach(lfo => lfo.stop());
+            module.output.disconnect();
+        });
+        this.output.disconnect();
+    }
+}
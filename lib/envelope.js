@@ -0,0 +1,138 @@
+/**
+ * MODULE: Envelope
+ * 
+ * Purpose: Plan ADSR amplitude envelopes (attack, decay, sustain, release) as Web Audio automation points
+ * 
+ * Key Exports:
+ * - ENVELOPE_CURVES - 'exponential' (default, natural fades) or 'linear'
+ * - ENVELOPE_FLOOR - Silence level for exponential ramps (they can't reach 0)
+ * - planEnvelope() - Note timing + ADSR → automation points
+ * - envelopeLevelAt() - Level of a planned envelope at any time (tests, partial decays)
+ * 
+ * Dependencies:
+ * - None (pure functions - AudioEngine.createEnvelope() schedules the points)
+ * 
+ * Used By:
+ * - lib/audio-engine.js (createEnvelope - shared by synth, sampler and granular notes)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript)
+ */
+
+/**
+ * ADSR in one picture (level over one note):
+ * 
+ *   peak    /\
+ *          /  \___________  sustain (fraction of peak)
+ *         /               \
+ *   0 ___/                 \___
+ *        | A | D |    S    | R |
+ *        0                  duration
+ * 
+ * The note's duration is fixed by the data, so the release fits INSIDE it:
+ * release starts at duration - release. If that comes before the decay has
+ * finished, the release starts from wherever the decay got to.
+ */
+export const ENVELOPE_CURVES = ['exponential', 'linear'];
+
+export const ENVELOPE_FLOOR = 0.001; // -60 dB
+
+/**
+ * Helper: level part-way along a ramp, following the curve
+ * Exponential ramps move by equal RATIOS per unit of time (what ears hear as even fades)
+ */
+function rampValue(from, to, fraction, curve) {
+    if (curve === 'exponential') {
+        return from * Math.pow(to / from, fraction);
+    }
+    return from + (to - from) * fraction;
+}
+
+/**
+ * Plan an ADSR envelope for one note
+ * Pure function
+ * 
+ * @param {Object} options
+ * @param {number} options.duration - Note length in seconds (release included)
+ * @param {number} options.attack - Seconds to reach the peak
+ * @param {number} options.decay - Seconds from the peak down to the sustain level
+ * @param {number} options.sustain - Sustain level as a fraction of the peak (0-1)
+ * @param {number} options.release - Seconds to fade out at the end of the note
+ * @param {number} options.peak - Peak level
+ * @param {string} options.curve - 'exponential' or 'linear' (see ENVELOPE_CURVES)
+ * @param {number} options.minTime - Shortest attack/release in seconds (avoids clicks on samples)
+ * @returns {Array<Object>} Points: { time (s after note start), value, type: 'set' | 'linear' | 'exponential' }
+ * 
+ * Example:
+ *   planEnvelope({ duration: 1, attack: 0.1, decay: 0.2, sustain: 0.5, release: 0.3 })
+ *   → [{ time: 0, value: 0.001, type: 'set' },
+ *      { time: 0.1, value: 1, type: 'exponential' },
+ *      { time: 0.3, value: 0.5, type: 'exponential' },
+ *      { time: 0.7, value: 0.5, type: 'set' },
+ *      { time: 1, value: 0.001, type: 'exponential' }]
+ */
+export function planEnvelope({
+    duration,
+    attack = 0.01,
+    decay = 0.1,
+    sustain = 1,
+    release = 0.1,
+    peak = 1,
+    curve = 'exponential',
+    minTime = 0
+}) {
+    const type = curve === 'linear' ? 'linear' : 'exponential';
+    // Exponential ramps can't start or end at 0, linear ones can
+    const floor = type === 'exponential' ? ENVELOPE_FLOOR : 0;
+    const level = (value) => Math.max(floor, value);
+    
+    const end = Math.max(0, duration);
+    const attackEnd = Math.min(end, Math.max(minTime, attack));
+    const releaseStart = Math.max(attackEnd, end - Math.max(minTime, release));
+    const decayEnd = attackEnd + Math.max(0, decay);
+    const peakLevel = level(peak);
+    const sustainLevel = level(peak * Math.max(0, Math.min(1, sustain)));
+    
+    const points = [
+        { time: 0, value: floor, type: 'set' },
+        { time: attackEnd, value: peakLevel, type }
+    ];
+    
+    if (releaseStart > attackEnd) {
+        if (decayEnd <= releaseStart) {
+            // Full decay, then hold the sustain level until the release
+            points.push({ time: decayEnd, value: sustainLevel, type });
+            points.push({ time: releaseStart, value: sustainLevel, type: 'set' });
+        } else {
+            // Short note: release cuts into the decay
+            const fraction = (releaseStart - attackEnd) / (decayEnd - attackEnd);
+            points.push({ time: releaseStart, value: rampValue(peakLevel, sustainLevel, fraction, type), type });
+        }
+    }
+    
+    points.push({ time: end, value: floor, type });
+    return points;
+}
+
+/**
+ * Level of a planned envelope at a time (what the GainNode will output)
+ * Pure function
+ * 
+ * @param {Array<Object>} points - Result of planEnvelope()
+ * @param {number} time - Seconds after note start
+ * @returns {number} Level
+ */
+export function envelopeLevelAt(points, time) {
+    let previous = points[0];
+    
+    for (const point of points) {
+        if (point.time > time) {
+            if (point.type === 'set' || point.time === previous.time) return previous.value;
+            const fraction = (time - previous.time) / (point.time - previous.time);
+            return rampValue(previous.value, point.value, fraction, point.type);
+        }
+        previous = point;
+    }
+    
+    return previous.value;
+}
@@ -0,0 +1,104 @@
+/**
+ * MODULE: Filter
+ * 
+ * Purpose: Per-note filter section - filter type from data, filter envelope, second filter (serial or parallel)
+ * 
+ * Key Exports:
+ * - FILTER_TYPES - BiquadFilter types in data order (dark → bright, notch last)
+ * - FILTER_ROUTINGS - Second filter off, after the first (serial) or beside it (parallel)
+ * - FILTER_TYPE_PARAMS / FILTER_ENVELOPE_PARAMS / FILTER2_PARAMS - Registered while each option is on
+ * - PARALLEL_FILTER_GAIN - Output level of two parallel filters
+ * - filterTypeFromValue() - 0-1 parameter value → filter type (even buckets)
+ * - planFilterEnvelope() - Amount/attack/decay → cutoff automation points (cents)
+ * 
+ * Dependencies:
+ * - None (pure functions - main.js builds the filters, AudioEngine.scheduleAutomation() runs the envelope)
+ * 
+ * Used By:
+ * - main.js (createFilterSection in playNote, drone filter type)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript)
+ */
+
+/**
+ * Filter types in the order data picks them: a rising value goes from a
+ * dark lowpass through a focused bandpass to a thin highpass - the sound
+ * shifts when the field crosses 0.25, 0.5 and 0.75 of its range.
+ */
+export const FILTER_TYPES = ['lowpass', 'bandpass', 'highpass', 'notch'];
+
+/**
+ * Second filter routing
+ * - serial: source → filter 1 → filter 2 (responses multiply - lowpass + highpass = a band)
+ * - parallel: source → both filters → mixed (two bandpasses = two vowel-like formants)
+ */
+export const FILTER_ROUTINGS = ['off', 'serial', 'parallel'];
+
+export const FILTER_TYPE_PARAMS = [
+    { id: 'filterType', label: 'Filter Type (LP → BP → HP → Notch)', min: 0, max: 1, default: 0 }
+];
+
+/**
+ * Filter envelope: the cutoff jumps by `amount` octaves over the attack,
+ * then falls back to the mapped cutoff over the decay - the "wow" of a
+ * synth pluck. Negative amounts dip the cutoff instead.
+ */
+export const FILTER_ENVELOPE_PARAMS = [
+    { id: 'filterEnvAmount', label: 'Filter Env Amount (octaves)', min: -4, max: 4, default: 2 },
+    { id: 'filterEnvAttack', label: 'Filter Env Attack (ms)', min: 1, max: 1000, default: 5 },
+    { id: 'filterEnvDecay', label: 'Filter Env Decay (ms)', min: 10, max: 2000, default: 300 }
+];
+
+export const FILTER2_PARAMS = [
+    { id: 'filter2Freq', label: 'Filter 2 Freq (Hz)', min: 200, max: 8000, default: 1000 },
+    { id: 'filter2Q', label: 'Filter 2 Q', min: 0.1, max: 20, default: 1 }
+];
+
+// Equal-power mix: where the two bands overlap the level barely jumps, where they don't it barely drops
+export const PARALLEL_FILTER_GAIN = Math.SQRT1_2;
+
+/**
+ * Pick a filter type from a 0-1 value
+ * Pure function
+ * 
+ * @param {number} value - filterType parameter value
+ * @returns {string} Entry of FILTER_TYPES
+ * 
+ * Example:
+ *   filterTypeFromValue(0.3) → 'bandpass'  (second of four buckets)
+ */
+export function filterTypeFromValue(value) {
+    const clamped = Math.max(0, Math.min(1, value || 0));
+    const index = Math.min(FILTER_TYPES.length - 1, Math.floor(clamped * FILTER_TYPES.length));
+    return FILTER_TYPES[index];
+}
+
+/**
+ * Plan a filter envelope as detune automation
+ * Pure function
+ * 
+ * Detune is in cents, so a straight line in cents is an even sweep to the
+ * ear (each octave takes the same time) - no exponential ramp needed, and
+ * it works the same for any mapped cutoff.
+ * 
+ * @param {Object} options
+ * @param {number} options.amount - Peak offset in octaves (negative = downward sweep)
+ * @param {number} options.attack - Seconds to reach the peak
+ * @param {number} options.decay - Seconds back to the mapped cutoff
+ * @returns {Array<Object>} Points: { time (s after note start), value (cents), type: 'set' | 'linear' }
+ * 
+ * Example:
+ *   planFilterEnvelope({ amount: 2, attack: 0.01, decay: 0.3 })
+ *   → [{ time: 0, value: 0, type: 'set' },
+ *      { time: 0.01, value: 2400, type: 'linear' },
+ *      { time: 0.31, value: 0, type: 'linear' }]
+ */
+export function planFilterEnvelope({ amount = 2, attack = 0.005, decay = 0.3 }) {
+    const attackEnd = Math.max(0, attack);
+    return [
+        { time: 0, value: 0, type: 'set' },
+        { time: attackEnd, value: amount * 1200, type: 'linear' },
+        { time: attackEnd + Math.max(0, decay), value: 0, type: 'linear' }
+    ];
+}
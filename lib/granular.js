@@ -0,0 +1,102 @@
+/**
+ * MODULE: Granular
+ * 
+ * Purpose: Plan grain clouds - many tiny overlapping slices of a sample per data item
+ * 
+ * Key Exports:
+ * - GRANULAR_PARAMS - Grain parameters (registered when the granular source is on)
+ * - MAX_GRAINS_PER_CLOUD - Safety cap on grains per note
+ * - planGrainCloud() - Compute when/where/how fast each grain plays
+ * 
+ * Dependencies:
+ * - None (pure functions - the random source can be injected for tests)
+ * 
+ * Used By:
+ * - main.js (granular sound source)
+ * - lib/audio-engine.js (createGrainCloud() turns a plan into audio nodes)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript)
+ */
+
+/**
+ * Granular synthesis in one paragraph:
+ * Instead of playing a sample once, play dozens of tiny pieces ("grains", 10-500ms)
+ * of it, each with a smooth fade in/out so they blend without clicks. When grains
+ * overlap, you stop hearing individual events and hear a TEXTURE. Moving where the
+ * grains come from (position), how wide they scatter (jitter) and how detuned they
+ * are (pitch spread) turns one sample into clouds, shimmers or drones - good for
+ * slow-moving data like ocean buoys or temperatures, where plucks would sound static.
+ */
+export const GRANULAR_PARAMS = [
+    { id: 'grainSize', label: 'Grain Size (ms)', min: 10, max: 500, default: 80 },
+    { id: 'grainDensity', label: 'Grain Density (grains/s)', min: 5, max: 100, default: 30 },
+    { id: 'positionJitter', label: 'Position Jitter', min: 0, max: 0.5, default: 0.05 },
+    { id: 'pitchSpread', label: 'Pitch Spread (semitones)', min: 0, max: 12, default: 0 }
+];
+
+/**
+ * Each grain is its own AudioBufferSourceNode - cap them so a long note
+ * at high density doesn't create thousands of nodes at once
+ */
+export const MAX_GRAINS_PER_CLOUD = 200;
+
+/**
+ * Plan the grains of one cloud
+ * Pure function (given the same random source) - no audio nodes created here
+ * 
+ * Grains start at evenly spaced times (1 / density apart). Each one reads from
+ * the cloud position plus a random jitter, and is detuned by a random amount
+ * within ±pitchSpread semitones.
+ * 
+ * @param {Object} options
+ * @param {number} options.duration - Cloud length in seconds (the note duration)
+ * @param {number} options.bufferDuration - Length of the source sample in seconds
+ * @param {number} options.position - Cloud center in the sample (0-1, e.g. sampleOffset)
+ * @param {number} options.grainSize - Grain length in ms
+ * @param {number} options.density - Grains per second
+ * @param {number} options.jitter - Random position spread (fraction of the sample, 0-1)
+ * @param {number} options.pitchSpread - Random detune range in semitones (±)
+ * @param {number} options.rate - Base playback rate (1 = original pitch)
+ * @param {Function} random - Random source returning 0-1 (default: Math.random)
+ * @returns {Array<Object>} Grains: { time, offset, duration, rate } (seconds, relative to note start)
+ * 
+ * Example:
+ *   planGrainCloud({ duration: 1, bufferDuration: 4, position: 0.5, grainSize: 100, density: 10 })
+ *   → 10 grains, 0.1s apart, each reading 0.1s from around 2s into the sample
+ */
+export function planGrainCloud({
+    duration,
+    bufferDuration,
+    position = 0,
+    grainSize = 80,
+    density = 30,
+    jitter = 0,
+    pitchSpread = 0,
+    rate = 1
+}, random = Math.random) {
+    if (!(duration > 0) || !(bufferDuration > 0) || !(density > 0)) return [];
+    
+    const grainDuration = Math.min(grainSize / 1000, bufferDuration);
+    const grainCount = Math.min(MAX_GRAINS_PER_CLOUD, Math.max(1, Math.round(duration * density)));
+    const spacing = duration / grainCount;
+    const latestOffset = bufferDuration - grainDuration;
+    
+    // Random value in -1..1
+    const bipolar = () => random() * 2 - 1;
+    
+    const grains = [];
+    for (let i = 0; i < grainCount; i++) {
+        const center = (position + bipolar() * jitter) * bufferDuration;
+        const detune = bipolar() * pitchSpread;
+        
+        grains.push({
+            time: i * spacing,
+            offset: Math.max(0, Math.min(latestOffset, center)),
+            duration: grainDuration,
+            rate: rate * Math.pow(2, detune / 12)
+        });
+    }
+    
+    return grains;
+}
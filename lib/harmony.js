@@ -0,0 +1,133 @@
+/**
+ * MODULE: Harmony
+ * 
+ * Purpose: Chord mode - each item sounds a chord on its root instead of a single pitch
+ * 
+ * Key Exports:
+ * - CHORD_TYPES - Chord qualities (intervals in semitones)
+ * - HARMONY_PARAMS - chordType and chordSpread (registered while chord mode is on)
+ * - chordTypeFromValue() - 0-1 parameter value → chord quality (even buckets)
+ * - buildChord() - Root frequency → chord tones, snapped to the scale, voiced
+ * - arpeggioOffsets() - Start offsets that spread the tones across the note spacing
+ * 
+ * Dependencies:
+ * - lib/tuning.js (quantizeToScale - chord tones stay in the scale)
+ * 
+ * Used By:
+ * - main.js (chord/arpeggio playback, WAV and MIDI export)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript)
+ */
+
+import { quantizeToScale } from './tuning.js';
+
+/**
+ * Chord qualities, built from the root up (semitones)
+ * The order is the bucket order of chordType: low values → major,
+ * high values → 7th, so a rising field moves toward more tension.
+ */
+export const CHORD_TYPES = [
+    { id: 'major', label: 'Major', intervals: [0, 4, 7] },
+    { id: 'minor', label: 'Minor', intervals: [0, 3, 7] },
+    { id: 'sus', label: 'Sus4', intervals: [0, 5, 7] },
+    { id: 'dim', label: 'Diminished', intervals: [0, 3, 6] },
+    { id: '7th', label: 'Dominant 7th', intervals: [0, 4, 7, 10] }
+];
+
+/**
+ * Chord parameters - map a field to chordType to pick the quality per item
+ * (text fields map category-by-category, so each category gets its own chord);
+ * chordSpread goes from close position to a wide, open voicing.
+ */
+export const HARMONY_PARAMS = [
+    { id: 'chordType', label: 'Chord Type', min: 0, max: 1, default: 0 },
+    { id: 'chordSpread', label: 'Chord Spread', min: 0, max: 1, default: 0 }
+];
+
+/**
+ * Pick a chord quality from a 0-1 value
+ * Pure function
+ * 
+ * @param {number} value - chordType parameter value
+ * @returns {Object} Entry of CHORD_TYPES
+ * 
+ * Example:
+ *   chordTypeFromValue(0.5) → { id: 'sus', ... }  (third of five buckets)
+ */
+export function chordTypeFromValue(value) {
+    const clamped = Math.max(0, Math.min(1, value || 0));
+    const index = Math.min(CHORD_TYPES.length - 1, Math.floor(clamped * CHORD_TYPES.length));
+    return CHORD_TYPES[index];
+}
+
+/**
+ * Build the tones of a chord
+ * Pure function
+ * 
+ * With a scale, every tone is snapped to it - in C major a "major" chord on
+ * D becomes D minor, the chord the key actually has there. A tone exactly
+ * between two degrees (F# in C major) resolves DOWN - that's what turns
+ * major chords into the key's own minor and diminished ones. Tones that
+ * land on the same note are merged.
+ * 
+ * Voicing (spread):
+ * - below 1/3: close - tones stacked within the period (C E G)
+ * - below 2/3: open - every second tone up a period (C G E')
+ * - above: wide - open, with the root dropped a period (C, G E')
+ * 
+ * @param {number} root - Chord root in Hz (already quantized when a scale is used)
+ * @param {Object} chordType - Entry of CHORD_TYPES
+ * @param {Object} options
+ * @param {Object} options.scale - { cents, period } to stay inside (null = exact intervals)
+ * @param {number} options.scaleRoot - Frequency of the scale's degree 0
+ * @param {number} options.spread - Voicing 0-1
+ * @returns {Array<number>} Frequencies, low to high
+ * 
+ * Example:
+ *   buildChord(261.63, CHORD_TYPES[0]) → [261.63, 329.63, 392.00]  (C major, close)
+ */
+export function buildChord(root, chordType, { scale = null, scaleRoot = root, spread = 0 } = {}) {
+    const periodRatio = Math.pow(2, (scale ? scale.period : 1200) / 1200);
+    
+    let tones = chordType.intervals.map(semitones => {
+        const tone = root * Math.pow(2, semitones / 12);
+        // Half a cent flat: ties snap down, nothing else moves
+        return scale ? quantizeToScale(tone * Math.pow(2, -0.5 / 1200), scale, scaleRoot) : tone;
+    });
+    
+    // Merge tones that snapped onto the same note
+    tones = tones.filter((tone, i) => tones.findIndex(other => Math.abs(1200 * Math.log2(other / tone)) < 1) === i);
+    
+    if (spread >= 1 / 3) {
+        tones = tones.map((tone, i) => (i % 2 === 1 ? tone * periodRatio : tone));
+    }
+    if (spread >= 2 / 3) {
+        tones[0] /= periodRatio;
+    }
+    
+    return tones.sort((a, b) => a - b);
+}
+
+/**
+ * Start offsets for an arpeggio: the tones are spread evenly across the time
+ * until the next item, so the next chord starts right after the last tone
+ * Pure function
+ * 
+ * @param {number} count - Number of tones (low to high, see buildChord)
+ * @param {number} spacing - Time until the next item (any unit - offsets use the same)
+ * @param {string} direction - 'up', 'down', or 'none' (block chord, all at 0)
+ * @returns {Array<number>} Offset per tone
+ * 
+ * Example:
+ *   arpeggioOffsets(3, 0.6, 'up')   → [0, 0.2, 0.4]
+ *   arpeggioOffsets(3, 0.6, 'down') → [0.4, 0.2, 0]
+ */
+export function arpeggioOffsets(count, spacing, direction = 'up') {
+    const step = count > 0 ? spacing / count : 0;
+    return Array.from({ length: count }, (_, i) => {
+        if (direction === 'up') return i * step;
+        if (direction === 'down') return (count - 1 - i) * step;
+        return 0;
+    });
+}
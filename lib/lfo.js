@@ -0,0 +1,109 @@
+/**
+ * MODULE: LFO
+ * 
+ * Purpose: Low frequency oscillators - vibrato, tremolo, filter and pan sweeps whose rate and depth follow the data
+ * 
+ * Key Exports:
+ * - LFO_SLOTS - The LFOs the settings panel offers
+ * - LFO_MODES - Off, per note or global
+ * - LFO_SHAPES - Sine, triangle, square, sample & hold
+ * - LFO_TARGETS - What an LFO can move (pitch, filter cutoff, pan, volume) and how far at full depth
+ * - lfoParams() - Rate and depth params for one LFO (registered while it's on)
+ * - lfoAmount() - 0-1 depth → modulation amount in the target's units
+ * - sampleHoldSteps() - Random step values for the sample & hold shape
+ * 
+ * Dependencies:
+ * - None (pure functions - AudioEngine.createLfo() builds the nodes)
+ * 
+ * Used By:
+ * - lib/audio-engine.js (createLfo, getGlobalLfo)
+ * - main.js (LFO settings, per-note modulation in playNote)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript)
+ */
+
+/**
+ * Two kinds of LFO:
+ * - per note ('note'): restarts with every note - each note gets the same
+ *   wobble from its start, like a vibrato a singer adds to every note
+ * - global ('global'): one LFO keeps running through the whole playback and
+ *   every note hears it wherever it happens to be - slow sweeps across notes
+ * 
+ * Either way the rate and depth are mappable, so the data decides how fast
+ * and how deep each note wobbles.
+ */
+export const LFO_SLOTS = ['lfo1', 'lfo2'];
+
+export const LFO_MODES = ['off', 'note', 'global'];
+
+export const LFO_SHAPES = [
+    { id: 'sine', label: 'Sine' },
+    { id: 'triangle', label: 'Triangle' },
+    { id: 'square', label: 'Square' },
+    { id: 'sampleHold', label: 'Sample & Hold' }
+];
+
+/**
+ * Modulation targets - maxAmount is the swing (±) at depth 1
+ * 
+ * Pitch and cutoff are modulated in cents through the nodes' detune param,
+ * so the wobble is the same musical interval for low and high notes.
+ * Volume dips from full level down by up to 2 × maxAmount (tremolo).
+ */
+export const LFO_TARGETS = {
+    frequency: { label: 'Pitch (vibrato)', maxAmount: 100 },
+    filterFreq: { label: 'Filter cutoff', maxAmount: 2400 },
+    pan: { label: 'Pan', maxAmount: 1 },
+    gain: { label: 'Volume (tremolo)', maxAmount: 0.5 }
+};
+
+/**
+ * Rate and depth parameters for one LFO
+ * Pure function
+ * 
+ * @param {string} slotId - Entry of LFO_SLOTS (e.g., 'lfo1')
+ * @returns {Array<Object>} Param definitions ({ id, label, min, max, default })
+ * 
+ * Example:
+ *   lfoParams('lfo2') → [{ id: 'lfo2Rate', label: 'LFO 2 Rate (Hz)', ... }, { id: 'lfo2Depth', ... }]
+ */
+export function lfoParams(slotId) {
+    const name = `LFO ${LFO_SLOTS.indexOf(slotId) + 1}`;
+    return [
+        { id: `${slotId}Rate`, label: `${name} Rate (Hz)`, min: 0.1, max: 20, default: 5 },
+        { id: `${slotId}Depth`, label: `${name} Depth (0-1)`, min: 0, max: 1, default: 0.3 }
+    ];
+}
+
+/**
+ * Modulation amount for a depth
+ * Pure function
+ * 
+ * @param {string} target - Key of LFO_TARGETS
+ * @param {number} depth - 0-1 (clamped)
+ * @returns {number} Amount in the target's units (0 for an unknown target)
+ * 
+ * Example:
+ *   lfoAmount('frequency', 0.3) → 30  (±30 cents vibrato)
+ */
+export function lfoAmount(target, depth) {
+    const definition = LFO_TARGETS[target];
+    if (!definition) return 0;
+    return definition.maxAmount * Math.max(0, Math.min(1, depth || 0));
+}
+
+/**
+ * Random step values for sample & hold
+ * Pure function (given the random source)
+ * 
+ * Sample & hold picks a new random level on every cycle and holds it -
+ * the classic "computer thinking" burble on a filter.
+ * 
+ * @param {number} count - Number of steps
+ * @param {Function} random - Returns 0-1 (Math.random by default, seedable in tests)
+ * @returns {Float32Array} Values -1 to 1
+ */
+export function sampleHoldSteps(count, random = Math.random) {
+    return Float32Array.from({ length: count }, () => random() * 2 - 1);
+}
@@ -0,0 +1,348 @@
+/**
+ * MODULE: Loudness Meter
+ * 
+ * Purpose: Peak, RMS and LUFS loudness (ITU-R BS.1770 / EBU R128, approximate) plus clip detection
+ * 
+ * Key Exports:
+ * - METER_DEFAULTS - Block sizes, gates and the clip threshold
+ * - kWeightingCoefficients() - The two BS.1770 "K" filters for any sample rate
+ * - powerToLUFS() / gainToDb() - Mean square → LUFS, linear level → dB
+ * - integratedLoudness() - Gated loudness of a whole programme
+ * - LoudnessMeter class - Feed it stereo samples, read peak/RMS/momentary/short-term/integrated/clips
+ * - measureSignal() - Readings for a finished recording (export check)
+ * 
+ * Dependencies:
+ * - None (pure JavaScript - samples come from analysers live or an AudioBuffer after export)
+ * 
+ * Used By:
+ * - lib/audio-engine.js (live meter on the output bus)
+ * - main.js (meter display, WAV export check)
+ * 
+ * Browser APIs Used:
+ * - None
+ */
+
+/**
+ * Why LUFS and not just peak?
+ * Peak says how close you are to clipping, not how loud something SOUNDS.
+ * LUFS (Loudness Units relative to Full Scale) filters the signal the way
+ * ears hear it (less bass, a bit more presence - the "K" weighting), then
+ * averages its power. Streaming services normalize to around -14 LUFS,
+ * so a sonification at -30 LUFS will sound quiet next to everything else.
+ * 
+ * - momentary: last 400ms (follows notes)
+ * - short-term: last 3s (follows phrases)
+ * - integrated: the whole playback, with quiet gaps gated out
+ */
+export const METER_DEFAULTS = {
+    blockSeconds: 0.4,       // Momentary window and gating block (BS.1770)
+    stepSeconds: 0.1,        // Blocks overlap by 75% - one new block every 100ms
+    shortTermSeconds: 3,
+    absoluteGate: -70,       // LUFS - blocks below are silence
+    relativeGate: -10,       // LU below the ungated loudness - quiet passages don't drag it down
+    clipThreshold: 1,        // |sample| at or above = 0 dBFS = clipped
+    maxClipEvents: 1000      // Events kept (the count keeps going)
+};
+
+/**
+ * K-weighting filters (BS.1770-4, Annex 1) recomputed for a sample rate
+ * Pure function
+ * 
+ * Stage 1: high shelf, +4 dB above ~1.7 kHz (head acoustics)
+ * Stage 2: high-pass at ~38 Hz (ears barely count deep bass)
+ * The constants are the analog prototypes; at 48 kHz the results match the
+ * coefficient table in the standard.
+ * 
+ * @param {number} sampleRate - Hz
+ * @returns {Array<Object>} Two biquads: { b: [b0, b1, b2], a: [a1, a2] } (a0 normalized to 1)
+ */
+export function kWeightingCoefficients(sampleRate) {
+    // Stage 1: shelf
+    const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const shelfQ = 0.7071752369554196;
+    const vh = Math.pow(10, 3.999843853973347 / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+    
+    // Stage 2: high-pass
+    const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const passQ = 0.5003270373238773;
+    const passA0 = 1 + passK / passQ + passK * passK;
+    
+    return [
+        {
+            b: [
+                (vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+                2 * (shelfK * shelfK - vh) / shelfA0,
+                (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0
+            ],
+            a: [2 * (shelfK * shelfK - 1) / shelfA0, (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0]
+        },
+        {
+            b: [1, -2, 1],
+            a: [2 * (passK * passK - 1) / passA0, (1 - passK / passQ + passK * passK) / passA0]
+        }
+    ];
+}
+
+/**
+ * Mean square (summed over channels) → loudness
+ * Pure function - the -0.691 offset makes a 1 kHz sine read its own level
+ * 
+ * @param {number} power - Sum of the channels' K-weighted mean squares
+ * @returns {number} LUFS (-Infinity for silence)
+ */
+export function powerToLUFS(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+/**
+ * Linear level → dB (peak and RMS readings)
+ * Pure function
+ * 
+ * @param {number} value - 0-1 (1 = full scale)
+ * @returns {number} dBFS (-Infinity for silence)
+ */
+export function gainToDb(value) {
+    return value > 0 ? 20 * Math.log10(value) : -Infinity;
+}
+
+/**
+ * Integrated (programme) loudness from 400ms block powers
+ * Pure function
+ * 
+ * Two gates (BS.1770-4):
+ * 1. Absolute: drop blocks below -70 LUFS (silence between notes)
+ * 2. Relative: drop blocks 10 LU below the loudness of what's left
+ * The result is the loudness of the blocks that pass both.
+ * 
+ * @param {Array<number>} blockPowers - powerToLUFS() inputs, one per block
+ * @param {Object} options - { absoluteGate, relativeGate } (see METER_DEFAULTS)
+ * @returns {number} LUFS (-Infinity if every block was gated)
+ */
+export function integratedLoudness(blockPowers, { absoluteGate = METER_DEFAULTS.absoluteGate, relativeGate = METER_DEFAULTS.relativeGate } = {}) {
+    const mean = (powers) => powers.reduce((sum, p) => sum + p, 0) / powers.length;
+    
+    const audible = blockPowers.filter(power => powerToLUFS(power) > absoluteGate);
+    if (audible.length === 0) return -Infinity;
+    
+    const threshold = powerToLUFS(mean(audible)) + relativeGate;
+    const gated = audible.filter(power => powerToLUFS(power) > threshold);
+    return gated.length > 0 ? powerToLUFS(mean(gated)) : -Infinity;
+}
+
+/**
+ * Loudness Meter Class
+ * 
+ * This is a class because:
+ * - The K filters have state that carries over between chunks of samples
+ * - Readings cover a history (400ms, 3s, the whole playback)
+ * 
+ * Samples come in as consecutive chunks of any length (live: whatever
+ * arrived since the last poll; export: the rendered buffer item by item).
+ * Every 100ms of audio closes a sub-block; the last 4 make the momentary
+ * window, the last 30 the short-term one.
+ * 
+ * Usage:
+ *   const meter = new LoudnessMeter(48000);
+ *   meter.process(left, right, 12);   // 12 = item index playing (for clip events)
+ *   meter.getReadings().integrated    // → -16.3
+ */
+export class LoudnessMeter {
+    /**
+     * @param {number} sampleRate - Hz
+     * @param {Object} options - Overrides for METER_DEFAULTS
+     */
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.options = { ...METER_DEFAULTS, ...options };
+        this.filters = kWeightingCoefficients(sampleRate);
+        this.stepSamples = Math.round(this.options.stepSeconds * sampleRate);
+        this.blockSteps = Math.round(this.options.blockSeconds / this.options.stepSeconds);
+        this.shortTermSteps = Math.round(this.options.shortTermSeconds / this.options.stepSeconds);
+        this.reset();
+    }
+    
+    /**
+     * Forget everything (new playback or export)
+     */
+    reset() {
+        // Filter memory per channel and stage: [x1, x2, y1, y2]
+        this.filterState = [0, 1].map(() => this.filters.map(() => [0, 0, 0, 0]));
+        this.current = this._emptyStep();
+        this.steps = [];         // Last shortTermSteps sub-blocks
+        this.blockPowers = [];   // Every 400ms block (integrated loudness)
+        this.samplesProcessed = 0;
+        this.maxPeak = 0;
+        this.clipCount = 0;
+        this.clips = [];
+        this._clipEvent = null; // Run in progress
+    }
+    
+    /**
+     * Measure the next chunk of stereo samples
+     * 
+     * @param {Float32Array} left - Left channel
+     * @param {Float32Array} right - Right channel (pass left again for mono)
+     * @param {number|null} itemIndex - Data item playing (recorded with clip events)
+     */
+    process(left, right, itemIndex = null) {
+        const { clipThreshold, maxClipEvents } = this.options;
+        
+        for (let i = 0; i < left.length; i++) {
+            const l = left[i];
+            const r = right[i];
+            const peak = Math.max(Math.abs(l), Math.abs(r));
+            
+            // Clip events: a run of clipped samples counts once
+            if (peak >= clipThreshold) {
+                if (!this._clipEvent) {
+                    this.clipCount++;
+                    this._clipEvent = { time: this.samplesProcessed / this.sampleRate, itemIndex, peak };
+                    if (this.clips.length < maxClipEvents) this.clips.push(this._clipEvent);
+                }
+                this._clipEvent.peak = Math.max(this._clipEvent.peak, peak);
+            } else {
+                this._clipEvent = null;
+            }
+            
+            const kl = this._kWeight(0, l);
+            const kr = this._kWeight(1, r);
+            this.current.power += kl * kl + kr * kr;
+            this.current.square += l * l + r * r;
+            this.current.peak = Math.max(this.current.peak, peak);
+            this.current.count++;
+            this.samplesProcessed++;
+            
+            if (this.current.count >= this.stepSamples) {
+                this._closeStep();
+            }
+        }
+    }
+    
+    /**
+     * Current readings
+     * 
+     * @returns {Object} {
+     *   peak, peakDb - highest sample in the last 400ms
+     *   maxPeak, maxPeakDb - highest since reset
+     *   rms, rmsDb - unweighted RMS of the last 400ms
+     *   momentary, shortTerm, integrated - LUFS
+     *   clipCount, clips - [{ time (seconds since reset), itemIndex, peak }]
+     *   duration - seconds measured
+     * }
+     */
+    getReadings() {
+        const block = this.steps.slice(-this.blockSteps);
+        const samples = block.reduce((sum, step) => sum + step.count, 0);
+        const peak = block.reduce((max, step) => Math.max(max, step.peak), 0);
+        const maxPeak = Math.max(this.maxPeak, this.current.peak);
+        const rms = samples > 0 ? Math.sqrt(block.reduce((sum, step) => sum + step.square, 0) / (2 * samples)) : 0;
+        
+        return {
+            peak,
+            peakDb: gainToDb(peak),
+            maxPeak,
+            maxPeakDb: gainToDb(maxPeak),
+            rms,
+            rmsDb: gainToDb(rms),
+            momentary: this._windowLoudness(this.blockSteps),
+            shortTerm: this._windowLoudness(this.shortTermSteps),
+            integrated: integratedLoudness(this.blockPowers, this.options),
+            clipCount: this.clipCount,
+            clips: [...this.clips],
+            duration: this.samplesProcessed / this.sampleRate
+        };
+    }
+    
+    /**
+     * Finish the current 100ms sub-block and, once there are enough, a 400ms gating block
+     * @private
+     */
+    _closeStep() {
+        this.maxPeak = Math.max(this.maxPeak, this.current.peak);
+        this.steps.push(this.current);
+        if (this.steps.length > this.shortTermSteps) this.steps.shift();
+        this.current = this._emptyStep();
+        
+        if (this.steps.length >= this.blockSteps) {
+            this.blockPowers.push(this._windowPower(this.blockSteps));
+        }
+    }
+    
+    /**
+     * Mean K-weighted power (summed over channels) of the last n sub-blocks
+     * @private
+     */
+    _windowPower(stepCount) {
+        const window = this.steps.slice(-stepCount);
+        const samples = window.reduce((sum, step) => sum + step.count, 0);
+        return samples > 0 ? window.reduce((sum, step) => sum + step.power, 0) / samples : 0;
+    }
+    
+    /**
+     * LUFS of the last n sub-blocks (-Infinity until the window has filled)
+     * @private
+     */
+    _windowLoudness(stepCount) {
+        return this.steps.length >= Math.min(stepCount, this.blockSteps) ? powerToLUFS(this._windowPower(stepCount)) : -Infinity;
+    }
+    
+    /**
+     * Run one sample through both K filters (direct form I)
+     * @private
+     */
+    _kWeight(channel, sample) {
+        let x = sample;
+        this.filters.forEach(({ b, a }, stage) => {
+            const s = this.filterState[channel][stage];
+            const y = b[0] * x + b[1] * s[0] + b[2] * s[1] - a[0] * s[2] - a[1] * s[3];
+            s[1] = s[0];
+            s[0] = x;
+            s[3] = s[2];
+            s[2] = y;
+            x = y;
+        });
+        return x;
+    }
+    
+    /**
+     * @private
+     */
+    _emptyStep() {
+        return { power: 0, square: 0, peak: 0, count: 0 };
+    }
+}
+
+/**
+ * Measure a finished recording, e.g. the rendered WAV export
+ * Pure function
+ * 
+ * The signal is fed item by item, so clip events name the item that was
+ * playing (the reverb tail after the last item counts as the last item).
+ * 
+ * @param {Float32Array} left - Left channel
+ * @param {Float32Array} right - Right channel
+ * @param {number} sampleRate - Hz
+ * @param {Array<number>} itemStarts - Start time of each item in seconds, ascending (optional)
+ * @returns {Object} Readings (see LoudnessMeter.getReadings)
+ * 
+ * Example:
+ *   const readings = measureSignal(buffer.getChannelData(0), buffer.getChannelData(1), buffer.sampleRate);
+ *   readings.integrated → -15.8, readings.clipCount → 0
+ */
+export function measureSignal(left, right, sampleRate, itemStarts = []) {
+    const meter = new LoudnessMeter(sampleRate);
+    const boundaries = [...itemStarts.map(time => Math.round(time * sampleRate)), left.length];
+    
+    let start = 0;
+    boundaries.forEach((boundary, i) => {
+        const end = Math.min(left.length, boundary);
+        if (end > start) {
+            meter.process(left.subarray(start, end), right.subarray(start, end), i > 0 ? i - 1 : null);
+            start = end;
+        }
+    });
+    
+    return meter.getReadings();
+}
@@ -0,0 +1,281 @@
+/**
+ * MODULE: MIDI Export
+ * 
+ * Purpose: Write the generated note sequence as a Standard MIDI File (type 1) for DAWs
+ * 
+ * Key Exports:
+ * - MIDI_PPQ / MIDI_CC / PITCH_BEND_RANGE - Resolution, controller numbers, bend range
+ * - MPE_MEMBER_CHANNELS - Channels overlapping notes rotate over (each keeps its own bend)
+ * - frequencyToMidiNote() - Hz → nearest note number + pitch bend for the rest
+ * - valueToCC() - Any parameter range → 0-127 controller value
+ * - secondsToTicks() - Seconds → MIDI ticks at a tempo
+ * - buildMidiTracks() - Notes → conductor track + note track (events with ticks)
+ * - encodeMidiFile() - Tracks → .mid bytes
+ * - notesToMidiBlob() - Convenience wrapper for notes → Blob download
+ * 
+ * Dependencies:
+ * - None (pure functions - no side effects, no external state)
+ * 
+ * Used By:
+ * - main.js (Export MIDI)
+ * 
+ * Browser APIs Used:
+ * - Blob (notesToMidiBlob only)
+ */
+
+/**
+ * Ticks per quarter note - 480 is what most DAWs use, fine enough for unquantized timing
+ */
+export const MIDI_PPQ = 480;
+
+/**
+ * Controller numbers for the CC lanes
+ * - 10 = pan (standard)
+ * - 74 = brightness / filter cutoff (standard on most synths)
+ * - 16 = general purpose 1 (sample start has no standard controller)
+ */
+export const MIDI_CC = {
+    pan: 10,
+    filterFreq: 74,
+    sampleOffset: 16
+};
+
+/**
+ * Pitch bend range in semitones (±) - the note track sets it with RPN 0,
+ * so DAWs and synths read the bends the way we wrote them
+ */
+export const PITCH_BEND_RANGE = 2;
+
+/**
+ * MPE lower zone: channel 0 is the master channel, 1-15 carry the notes.
+ * Pitch bend is per channel, so each sounding note needs a channel of its
+ * own - otherwise a new note's bend retunes the notes still ringing.
+ */
+export const MPE_MEMBER_CHANNELS = Array.from({ length: 15 }, (_, i) => i + 1);
+
+/**
+ * Convert a frequency to the nearest MIDI note plus a pitch bend for the remainder
+ * Pure function
+ * 
+ * MIDI notes are semitones (A4 = 69 = 440 Hz). Data-mapped frequencies fall
+ * between them, so the leftover cents are sent as a 14-bit pitch bend
+ * (8192 = no bend). Quantized pitches come out with bend 8192.
+ * 
+ * @param {number} frequency - Hz
+ * @returns {Object} { note, bend } - Note 0-127, bend 0-16383
+ * 
+ * Example:
+ *   frequencyToMidiNote(440)   → { note: 69, bend: 8192 }
+ *   frequencyToMidiNote(446.4) → { note: 69, bend: 9216 }  (+25 cents)
+ */
+export function frequencyToMidiNote(frequency) {
+    const exact = 69 + 12 * Math.log2(Math.max(frequency, 1) / 440);
+    const note = Math.max(0, Math.min(127, Math.round(exact)));
+    const semitones = exact - note;
+    const bend = Math.round(8192 + (semitones / PITCH_BEND_RANGE) * 8192);
+    return { note, bend: Math.max(0, Math.min(16383, bend)) };
+}
+
+/**
+ * Scale a parameter value to a 0-127 controller value
+ * Pure function
+ * 
+ * @param {number} value - Parameter value
+ * @param {number} min - Value sent as 0
+ * @param {number} max - Value sent as 127
+ * @param {boolean} logarithmic - Scale on a log axis (frequencies)
+ * @returns {number} Integer 0-127
+ * 
+ * Example:
+ *   valueToCC(0, -1, 1)              → 64  (pan center)
+ *   valueToCC(2000, 20, 20000, true) → 85  (2/3 of the way on a log axis)
+ */
+export function valueToCC(value, min, max, logarithmic = false) {
+    const position = logarithmic ?
+        Math.log(Math.max(value, min) / min) / Math.log(max / min) :
+        (value - min) / (max - min);
+    return Math.max(0, Math.min(127, Math.round(position * 127)));
+}
+
+/**
+ * Convert seconds to MIDI ticks
+ * Pure function
+ * 
+ * @param {number} seconds - Time in seconds
+ * @param {number} bpm - Tempo written to the file
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {number} Integer ticks
+ */
+export function secondsToTicks(seconds, bpm = 120, ppq = MIDI_PPQ) {
+    return Math.max(0, Math.round(seconds * (bpm / 60) * ppq));
+}
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * 7 bits per byte, high bit set on every byte except the last
+ * 
+ * @param {number} value - Non-negative integer
+ * @returns {Array<number>} Bytes
+ * 
+ * Example:
+ *   encodeVariableLength(480) → [0x83, 0x60]
+ */
+export function encodeVariableLength(value) {
+    let remaining = Math.max(0, Math.round(value));
+    const bytes = [remaining & 0x7f];
+    remaining >>= 7;
+    while (remaining > 0) {
+        bytes.unshift((remaining & 0x7f) | 0x80);
+        remaining >>= 7;
+    }
+    return bytes;
+}
+
+/**
+ * Build the tracks of a type-1 MIDI file from a note list
+ * Pure function
+ * 
+ * Track 0 (conductor): name, tempo, time signature
+ * Track 1 (notes): MPE zone + bend range setup, then per note: CCs, pitch bend, note on, note off
+ * 
+ * Notes rotate over the channels MPE-style: each note takes the free channel
+ * that has been quiet the longest (so a synth's release tail isn't bent by
+ * the next note), and its CCs and bend go on that channel only. More
+ * overlapping notes than channels can't all keep their own bend - the note
+ * shares the channel that frees up first, and a warning is logged.
+ * 
+ * @param {Array<Object>} notes - { time, duration (seconds), frequency, velocity?, cc?: { controller: 0-127 } }
+ * @param {Object} options
+ * @param {number} options.bpm - Tempo written to the file (ticks follow it, so timing is exact at any tempo)
+ * @param {number} options.ppq - Ticks per quarter note
+ * @param {Array<number>} options.timeSignature - [beats per bar, beat unit], e.g. [6, 8]
+ * @param {string} options.name - Track name
+ * @returns {Array<Array<Object>>} Tracks of events: { tick, bytes }
+ */
+export function buildMidiTracks(notes, { bpm = 120, ppq = MIDI_PPQ, name = 'DataSynth', timeSignature = [4, 4] } = {}) {
+    const microsecondsPerBeat = Math.round(60000000 / bpm);
+    const [beatsPerBar, beatUnit] = timeSignature;
+    const text = (type, string) => [0xff, type, ...encodeVariableLength(string.length), ...Array.from(string, c => c.charCodeAt(0) & 0x7f)];
+    
+    const conductor = [
+        { tick: 0, bytes: text(0x03, name) },
+        { tick: 0, bytes: [0xff, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff] },
+        // Denominator is stored as a power of two (4 → 2, 8 → 3); 24 clocks per click, 8 32nds per quarter
+        { tick: 0, bytes: [0xff, 0x58, 0x04, beatsPerBar, Math.round(Math.log2(beatUnit)), 0x18, 0x08] }
+    ];
+    
+    // RPN (registered parameter) write: select the parameter, then set its value
+    const rpn = (channel, parameter, value) => [101, 100, 6, 38].map((controller, i) => ({
+        tick: 0,
+        bytes: [0xb0 | channel, controller, [0, parameter, value, 0][i]]
+    }));
+    
+    // Order of events on the same tick: note off (0) → controllers/bend (1) → note on (2)
+    const events = [];
+    const channelEnds = new Map(MPE_MEMBER_CHANNELS.map(channel => [channel, -1]));
+    let overloaded = false;
+    
+    notes
+        .map(note => ({ ...note, start: secondsToTicks(note.time, bpm, ppq) }))
+        .sort((a, b) => a.start - b.start)
+        .forEach(note => {
+            const { start } = note;
+            const end = Math.max(start + 1, secondsToTicks(note.time + note.duration, bpm, ppq));
+            const { note: number, bend } = frequencyToMidiNote(note.frequency);
+            const velocity = Math.max(1, Math.min(127, Math.round(note.velocity ?? 100)));
+            
+            // Quiet the longest = ended first; if that one is still sounding, every channel is
+            const [channel, lastEnd] = [...channelEnds].reduce((best, entry) => entry[1] < best[1] ? entry : best);
+            if (lastEnd > start) overloaded = true;
+            channelEnds.set(channel, Math.max(lastEnd, end));
+            
+            Object.entries(note.cc || {}).forEach(([controller, value]) => {
+                events.push({ tick: start, order: 1, bytes: [0xb0 | channel, Number(controller), value] });
+            });
+            events.push({ tick: start, order: 1, bytes: [0xe0 | channel, bend & 0x7f, (bend >> 7) & 0x7f] });
+            events.push({ tick: start, order: 2, bytes: [0x90 | channel, number, velocity] });
+            events.push({ tick: end, order: 0, bytes: [0x80 | channel, number, 0] });
+        });
+    
+    if (overloaded) {
+        console.warn(`⚠️ MIDI export: more than ${MPE_MEMBER_CHANNELS.length} notes overlap - some share a channel and its pitch bend`);
+    }
+    
+    const track = [
+        { tick: 0, bytes: text(0x03, `${name} Notes`) },
+        // RPN 6 on the master channel: MPE lower zone with 15 member channels
+        ...rpn(0, 6, MPE_MEMBER_CHANNELS.length),
+        // RPN 0 (pitch bend sensitivity) = PITCH_BEND_RANGE semitones, on every channel that carries notes
+        ...MPE_MEMBER_CHANNELS
+            .filter(channel => channelEnds.get(channel) >= 0)
+            .flatMap(channel => rpn(channel, 0, PITCH_BEND_RANGE))
+    ];
+    
+    events
+        .map((event, index) => ({ ...event, index }))
+        .sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index)
+        .forEach(({ tick, bytes }) => track.push({ tick, bytes }));
+    
+    return [conductor, track];
+}
+
+/**
+ * Encode tracks as a Standard MIDI File
+ * Pure function - same tracks in, same bytes out
+ * 
+ * File layout (big-endian):
+ * - "MThd" header: format 1, track count, ticks per quarter note
+ * - One "MTrk" chunk per track: events with delta times, ending in End of Track
+ * 
+ * @param {Array<Array<Object>>} tracks - Result of buildMidiTracks() (events sorted by tick)
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {Uint8Array} Complete .mid file bytes
+ */
+export function encodeMidiFile(tracks, ppq = MIDI_PPQ) {
+    const header = [
+        0x4d, 0x54, 0x68, 0x64,      // "MThd"
+        0, 0, 0, 6,                  // Header length
+        0, 1,                        // Format 1 (several tracks played together)
+        (tracks.length >> 8) & 0xff, tracks.length & 0xff,
+        (ppq >> 8) & 0xff, ppq & 0xff
+    ];
+    
+    // Chunks are pushed event by event and copied into one array at the end -
+    // spreading a whole track into push() overflows the call stack on long exports
+    const chunks = tracks.map(events => {
+        const data = [];
+        let lastTick = 0;
+        events.forEach(({ tick, bytes: eventBytes }) => {
+            data.push(...encodeVariableLength(tick - lastTick), ...eventBytes);
+            lastTick = tick;
+        });
+        data.push(0x00, 0xff, 0x2f, 0x00); // End of Track
+        
+        return [
+            0x4d, 0x54, 0x72, 0x6b,  // "MTrk"
+            (data.length >>> 24) & 0xff, (data.length >> 16) & 0xff, (data.length >> 8) & 0xff, data.length & 0xff
+        ].concat(data);
+    });
+    
+    const parts = [header, ...chunks];
+    const file = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        file.set(part, offset);
+        offset += part.length;
+    });
+    return file;
+}
+
+/**
+ * Convert a note list into a downloadable .mid Blob
+ * 
+ * @param {Array<Object>} notes - See buildMidiTracks()
+ * @param {Object} options - See buildMidiTracks()
+ * @returns {Blob} MIDI file (type audio/midi)
+ */
+export function notesToMidiBlob(notes, options = {}) {
+    const ppq = options.ppq || MIDI_PPQ;
+    const midi = encodeMidiFile(buildMidiTracks(notes, { ...options, ppq }), ppq);
+    return new Blob([midi], { type: 'audio/midi' });
+}
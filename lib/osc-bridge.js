@@ -0,0 +1,335 @@
+/**
+ * MODULE: OSC Bridge
+ * 
+ * Purpose: Send every note's audio parameters as OSC messages over a WebSocket (for visuals, external synths)
+ * 
+ * Key Exports:
+ * - OSC_DEFAULTS - Default WebSocket endpoint and address prefix
+ * - NOTE_MESSAGE_FIELDS - Argument order of the /note message
+ * - encodeOSCMessage() / encodeOSCBundle() - OSC 1.0 binary encoding
+ * - decodeOSCPacket() - Parse a message or bundle back (relay logging, tests)
+ * - audioParamsToOSCMessages() - audioParams → /note message + one message per parameter
+ * - OSCBridge class - WebSocket connection that sends a bundle per note
+ * 
+ * Dependencies:
+ * - None (WebSocket is injected, so the encoding runs in Node too)
+ * 
+ * Used By:
+ * - main.js (OSC output settings, note events)
+ * - tools/osc-relay.js (decodes packets for logging)
+ * 
+ * Browser APIs Used:
+ * - WebSocket (OSCBridge only)
+ */
+
+/**
+ * OSC (Open Sound Control) in one paragraph:
+ * A message is an address ("/datasynth/note") plus typed arguments. Max/MSP,
+ * Pure Data, SuperCollider, TouchDesigner, VCV Rack etc. all speak it, usually
+ * over UDP. Browsers can't send UDP, so we send the same bytes over a WebSocket
+ * and tools/osc-relay.js forwards them to a UDP port.
+ */
+export const OSC_DEFAULTS = {
+    url: 'ws://localhost:8080',
+    prefix: '/datasynth'
+};
+
+/**
+ * Arguments of /datasynth/note, in order (missing params are sent as 0)
+ * Receivers can rely on this order; every param also has its own address.
+ */
+export const NOTE_MESSAGE_FIELDS = ['frequency', 'duration', 'pan', 'filterFreq', 'noteSpacing', 'pitch', 'sampleOffset'];
+
+// ============================================================================
+// ENCODING (OSC 1.0, big-endian, everything padded to 4 bytes)
+// ============================================================================
+
+/**
+ * Helper: string → null-terminated ASCII bytes padded to a multiple of 4
+ */
+function encodeString(string) {
+    const length = Math.ceil((string.length + 1) / 4) * 4;
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < string.length; i++) {
+        bytes[i] = string.charCodeAt(i) & 0x7f;
+    }
+    return bytes;
+}
+
+/**
+ * Helper: join byte arrays
+ */
+function concatBytes(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        output.set(part, offset);
+        offset += part.length;
+    });
+    return output;
+}
+
+/**
+ * Encode one OSC message
+ * Pure function
+ * 
+ * Numbers are sent as float32 ('f'), strings as 's' - floats are what
+ * every OSC receiver handles, and most params aren't integers anyway.
+ * 
+ * @param {string} address - OSC address (e.g., '/datasynth/param/pan')
+ * @param {Array<number|string>} args - Arguments
+ * @returns {Uint8Array} Message bytes
+ * 
+ * Example:
+ *   encodeOSCMessage('/a', [1]).length → 12  ("/a\0\0" + ",f\0\0" + float32)
+ */
+export function encodeOSCMessage(address, args = []) {
+    const typeTags = ',' + args.map(arg => (typeof arg === 'string' ? 's' : 'f')).join('');
+    const parts = [encodeString(address), encodeString(typeTags)];
+    
+    args.forEach(arg => {
+        if (typeof arg === 'string') {
+            parts.push(encodeString(arg));
+        } else {
+            const bytes = new Uint8Array(4);
+            new DataView(bytes.buffer).setFloat32(0, Number(arg) || 0);
+            parts.push(bytes);
+        }
+    });
+    
+    return concatBytes(parts);
+}
+
+/**
+ * Encode several messages as one OSC bundle (arrive and are handled together)
+ * Pure function
+ * 
+ * Bundle layout: "#bundle\0", 8-byte time tag (1 = "immediately"),
+ * then each message prefixed by its int32 size.
+ * 
+ * @param {Array<Object>} messages - { address, args }
+ * @returns {Uint8Array} Bundle bytes
+ */
+export function encodeOSCBundle(messages) {
+    const timeTag = new Uint8Array(8);
+    timeTag[7] = 1;
+    const parts = [encodeString('#bundle'), timeTag];
+    
+    messages.forEach(({ address, args }) => {
+        const message = encodeOSCMessage(address, args);
+        const size = new Uint8Array(4);
+        new DataView(size.buffer).setInt32(0, message.length);
+        parts.push(size, message);
+    });
+    
+    return concatBytes(parts);
+}
+
+/**
+ * Decode an OSC message or bundle
+ * Pure function - supports the types we send (f, i, s)
+ * 
+ * @param {Uint8Array} bytes - Packet bytes
+ * @returns {Array<Object>} Messages: { address, args } (a bundle is flattened)
+ * @throws {Error} If a bundle element size is not a positive multiple of 4 inside the packet
+ */
+export function decodeOSCPacket(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    
+    const readString = (offset) => {
+        let end = offset;
+        while (end < bytes.length && bytes[end] !== 0) end++;
+        const string = String.fromCharCode(...bytes.subarray(offset, end));
+        return { string, next: Math.ceil((end + 1) / 4) * 4 };
+    };
+    
+    const { string: first, next } = readString(0);
+    
+    if (first === '#bundle') {
+        const messages = [];
+        let offset = next + 8; // Skip time tag
+        while (offset + 4 <= bytes.length) {
+            const size = view.getInt32(offset);
+            // A bad size would never move the offset forward (or read past the end)
+            if (size <= 0 || size % 4 !== 0 || offset + 4 + size > bytes.length) {
+                throw new Error(`Invalid OSC bundle element size ${size} at byte ${offset}`);
+            }
+            messages.push(...decodeOSCPacket(bytes.subarray(offset + 4, offset + 4 + size)));
+            offset += 4 + size;
+        }
+        return messages;
+    }
+    
+    const { string: typeTags, next: argsStart } = readString(next);
+    const args = [];
+    let offset = argsStart;
+    for (const type of typeTags.slice(1)) {
+        if (type === 'f') {
+            args.push(view.getFloat32(offset));
+            offset += 4;
+        } else if (type === 'i') {
+            args.push(view.getInt32(offset));
+            offset += 4;
+        } else if (type === 's') {
+            const { string, next: after } = readString(offset);
+            args.push(string);
+            offset = after;
+        }
+    }
+    
+    return [{ address: first, args }];
+}
+
+/**
+ * Turn one note's audio parameters into OSC messages
+ * Pure function
+ * 
+ * - {prefix}/note - every NOTE_MESSAGE_FIELDS value in one message (one event per note)
+ * - {prefix}/param/{id} - one message per numeric parameter (easy to route one value)
+ * - {prefix}/item - item index in the dataset (when known)
+ * 
+ * @param {Object} audioParams - Result of calculateAudioParams()
+ * @param {Object} options
+ * @param {string} options.prefix - Address prefix
+ * @param {number} options.index - Item index (optional)
+ * @returns {Array<Object>} Messages: { address, args }
+ * 
+ * Example:
+ *   audioParamsToOSCMessages({ frequency: 440, pan: -0.5 })
+ *   → [{ address: '/datasynth/note', args: [440, 0, -0.5, 0, 0, 0, 0] },
+ *      { address: '/datasynth/param/frequency', args: [440] },
+ *      { address: '/datasynth/param/pan', args: [-0.5] }]
+ */
+export function audioParamsToOSCMessages(audioParams, { prefix = OSC_DEFAULTS.prefix, index = null } = {}) {
+    const messages = [{
+        address: `${prefix}/note`,
+        args: NOTE_MESSAGE_FIELDS.map(field => (typeof audioParams[field] === 'number' ? audioParams[field] : 0))
+    }];
+    
+    Object.entries(audioParams).forEach(([id, value]) => {
+        if (typeof value === 'number' && isFinite(value)) {
+            messages.push({ address: `${prefix}/param/${id}`, args: [value] });
+        }
+    });
+    
+    if (index !== null) {
+        messages.push({ address: `${prefix}/item`, args: [index] });
+    }
+    
+    return messages;
+}
+
+// ============================================================================
+// OSC BRIDGE
+// ============================================================================
+
+/**
+ * OSC Bridge Class
+ * 
+ * This is a class because:
+ * - The WebSocket connection persists across notes
+ * - Connection state is shown in the UI and checked before every send
+ * 
+ * Each note is sent as ONE bundle (binary WebSocket frame), so receivers
+ * get all of a note's values at once and the relay forwards one UDP packet.
+ * 
+ * Usage:
+ *   const bridge = new OSCBridge();
+ *   bridge.onStatusChange = (status) => console.log(status);
+ *   await bridge.connect('ws://localhost:8080');
+ *   bridge.sendNote(audioParams, { index: 3 });
+ *   bridge.disconnect();
+ */
+export class OSCBridge {
+    /**
+     * @param {Function} WebSocketClass - WebSocket implementation (injectable for tests)
+     */
+    constructor(WebSocketClass = globalThis.WebSocket) {
+        this.WebSocketClass = WebSocketClass;
+        this.socket = null;
+        this.status = 'disconnected'; // 'disconnected' | 'connecting' | 'connected' | 'error'
+        this.prefix = OSC_DEFAULTS.prefix;
+        this.onStatusChange = null;
+    }
+    
+    /**
+     * Whether messages will be sent
+     */
+    get connected() {
+        return this.status === 'connected';
+    }
+    
+    /**
+     * Open the WebSocket (closes any previous connection)
+     * 
+     * @param {string} url - e.g., 'ws://localhost:8080'
+     * @returns {Promise<void>} Resolves when open, rejects if the connection fails
+     */
+    connect(url = OSC_DEFAULTS.url) {
+        this.disconnect();
+        this._setStatus('connecting');
+        
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new this.WebSocketClass(url);
+            } catch (error) {
+                this._setStatus('error');
+                reject(error);
+                return;
+            }
+            
+            socket.binaryType = 'arraybuffer';
+            this.socket = socket;
+            
+            socket.onopen = () => {
+                this._setStatus('connected');
+                resolve();
+            };
+            socket.onerror = () => {
+                if (this.socket !== socket) return;
+                this._setStatus('error');
+                reject(new Error(`Could not connect to ${url}`));
+            };
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                if (this.status !== 'error') this._setStatus('disconnected');
+            };
+        });
+    }
+    
+    /**
+     * Close the connection
+     */
+    disconnect() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+        this._setStatus('disconnected');
+    }
+    
+    /**
+     * Send one note's parameters as a bundle (no-op when not connected)
+     * 
+     * @param {Object} audioParams - Result of calculateAudioParams()
+     * @param {Object} options - { index } (see audioParamsToOSCMessages)
+     * @returns {boolean} Whether the bundle was sent
+     */
+    sendNote(audioParams, { index = null } = {}) {
+        if (!this.connected) return false;
+        
+        this.socket.send(encodeOSCBundle(audioParamsToOSCMessages(audioParams, { prefix: this.prefix, index })));
+        return true;
+    }
+    
+    /**
+     * Update status and notify the UI
+     * @private
+     */
+    _setStatus(status) {
+        this.status = status;
+        if (this.onStatusChange) this.onStatusChange(status);
+    }
+}
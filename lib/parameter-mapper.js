@@ -5,14 +5,18 @@
  * 
  * Key Exports:
  * - ParameterMapper class - Manages mappings between data and audio
- *   - getAudioParams() - Get parameter definitions (mode-specific)
+ *   - getAudioParams() - Get parameter definitions (mode-specific + registered groups)
+ *   - registerParamGroup() / unregisterParamGroup() - Add optional params (e.g., effects)
+ *   - mapGeoPaths() - Map longitude/latitude to azimuth/elevation (spatial mode)
+ * - SPATIAL_PARAMS - 3D position parameters (registered when spatial mode is on)
  *   - intelligentMapping() - Analyze data and create optimal mappings
  *   - randomizeMappings() - Randomize which fields map to which parameters
  *   - randomizeRanges() - Randomize min/max values
  *   - randomizeAll() - Randomize everything
  * 
  * Dependencies:
- * - lib/data-processor.js (extractValues, analyzeDataVariance)
+ * - lib/data-processor.js (extractValues, findGeoPaths)
+ * - lib/tuning.js (scaleFrequencies - frequency range follows the key and scale)
  * 
  * Used By:
  * - main.js (mapping configuration)
@@ -22,7 +26,20 @@
  * - None (pure JavaScript)
  */
 
-import { extractValues } from './data-processor.js';
+import { extractValues, findGeoPaths } from './data-processor.js';
+import { BUILT_IN_SCALES, rootFrequency, scaleFrequencies } from './tuning.js';
+
+/**
+ * 3D position parameters for spatial (HRTF) mode
+ * Azimuth: angle around the listener (0 = front, 90 = right, ±180 = behind)
+ * Elevation: angle above/below ear level
+ * Distance: meters from the listener (further = quieter)
+ */
+export const SPATIAL_PARAMS = [
+    { id: 'azimuth', label: 'Azimuth (°)', min: -180, max: 180, default: 0 },
+    { id: 'elevation', label: 'Elevation (°)', min: -60, max: 60, default: 0 },
+    { id: 'distance', label: 'Distance (m)', min: 1, max: 20, default: 2 }
+];
 
 /**
  * Parameter Mapper Class
@@ -50,13 +67,22 @@ export class ParameterMapper {
         
         // Mode affects which parameters are available
         this.samplerMode = false;
+        
+        // Optional parameter groups added at runtime (e.g., params of enabled effects)
+        // Format: Map { groupId → [{ id, label, min, max, default }] }
+        this.paramGroups = new Map();
+        
+        // Key and scale for the frequency range of intelligentMapping (main.js keeps it in sync)
+        // Format: { scale: { cents, period }, root: Hz }
+        this.tuning = { scale: BUILT_IN_SCALES.pentatonic, root: rootFrequency(0) };
     }
     
     /**
      * Get audio parameter definitions based on current mode
      * 
-     * Synthesizer mode: frequency-based parameters
+     * Synthesizer mode: frequency-based parameters (plus timbre for additive/PWM/FM)
      * Sampler mode: pitch/offset-based parameters
+     * Both modes: followed by any registered groups (see registerParamGroup)
      * 
      * @returns {Array<Object>} Parameter definitions
      * 
@@ -73,11 +99,20 @@ export class ParameterMapper {
      * ]
      */
     getAudioParams() {
+        return [...this._getModeParams(), ...this.getGroupParams()];
+    }
+    
+    /**
+     * Mode-specific core parameters
+     * @private
+     */
+    _getModeParams() {
         if (this.samplerMode) {
             // SAMPLER MODE: Pitch (playback rate), sample offset, duration
             return [
                 { id: 'pitch', label: 'Pitch (Playback Rate)', min: 0.25, max: 4, default: 1 },
                 { id: 'sampleOffset', label: 'Sample Start (0-1)', min: 0, max: 1, default: 0 },
+                { id: 'sampleIndex', label: 'Sample Select (kit)', min: 0, max: 1, default: 0 },
                 { id: 'duration', label: 'Duration (ms)', min: 50, max: 2000, default: 200 },
                 { id: 'noteSpacing', label: 'Note Spacing (ms) - Rhythm', min: 50, max: 2000, default: 300 },
                 { id: 'pan', label: 'Pan', min: -1, max: 1, default: 0 },
@@ -86,9 +121,12 @@ export class ParameterMapper {
                 { id: 'delayTime', label: 'Delay Time (ms)', min: 50, max: 1000, default: 300 },
                 { id: 'delayFeedback', label: 'Delay Feedback', min: 0.1, max: 0.85, default: 0.5 },
                 { id: 'delayMix', label: 'Delay Mix', min: 0.1, max: 0.9, default: 0.5 },
+                { id: 'delayDamping', label: 'Delay Damping (dark repeats)', min: 0, max: 1, default: 0.2 },
                 { id: 'reverbDecay', label: 'Reverb Decay (s)', min: 0.1, max: 10, default: 2 },
                 { id: 'reverbMix', label: 'Reverb Mix', min: 0, max: 1, default: 0.3 },
                 { id: 'attack', label: 'Attack (ms)', min: 1, max: 1000, default: 10 },
+                { id: 'decay', label: 'Decay (ms)', min: 1, max: 2000, default: 100 },
+                { id: 'sustain', label: 'Sustain (0-1)', min: 0, max: 1, default: 1 },
                 { id: 'release', label: 'Release (ms)', min: 1, max: 2000, default: 100 }
             ];
         } else {
@@ -103,14 +141,70 @@ export class ParameterMapper {
                 { id: 'delayTime', label: 'Delay Time (ms)', min: 50, max: 1000, default: 300 },
                 { id: 'delayFeedback', label: 'Delay Feedback', min: 0.1, max: 0.85, default: 0.5 },
                 { id: 'delayMix', label: 'Delay Mix', min: 0.1, max: 0.9, default: 0.5 },
+                { id: 'delayDamping', label: 'Delay Damping (dark repeats)', min: 0, max: 1, default: 0.2 },
                 { id: 'reverbDecay', label: 'Reverb Decay (s)', min: 0.1, max: 10, default: 2 },
                 { id: 'reverbMix', label: 'Reverb Mix', min: 0, max: 1, default: 0.3 },
                 { id: 'attack', label: 'Attack (ms)', min: 1, max: 1000, default: 10 },
-                { id: 'release', label: 'Release (ms)', min: 1, max: 2000, default: 100 }
+                { id: 'decay', label: 'Decay (ms)', min: 1, max: 2000, default: 100 },
+                { id: 'sustain', label: 'Sustain (0-1)', min: 0, max: 1, default: 1 },
+                { id: 'release', label: 'Release (ms)', min: 1, max: 2000, default: 100 },
+                { id: 'harmonics', label: 'Harmonics (Additive)', min: 1, max: 32, default: 8 },
+                { id: 'brightness', label: 'Brightness (Additive)', min: 0, max: 1, default: 0.5 },
+                { id: 'pulseWidth', label: 'Pulse Width (PWM)', min: 0.1, max: 0.9, default: 0.5 },
+                { id: 'fmRatio', label: 'FM Ratio', min: 0.5, max: 8, default: 2.5 },
+                { id: 'fmIndex', label: 'FM Index', min: 0, max: 10, default: 0.32 }
             ];
         }
     }
     
+    /**
+     * Register an optional group of parameters
+     * 
+     * Lets other parts of the app (like the effects rack) add mappable parameters
+     * only while they're in use. New params get default mappings right away,
+     * so they show up in the patch viz and can be mapped like any other.
+     * 
+     * @param {string} groupId - Unique group name (e.g., 'chorus')
+     * @param {Array<Object>} params - Definitions ({ id, label, min, max, default })
+     */
+    registerParamGroup(groupId, params) {
+        this.paramGroups.set(groupId, params);
+        
+        params.forEach(param => {
+            if (!this.mappings[param.id]) {
+                this.mappings[param.id] = {
+                    path: '',
+                    fixed: param.default,
+                    min: param.min,
+                    max: param.max,
+                    curve: 'linear'
+                };
+            }
+        });
+    }
+    
+    /**
+     * Remove a parameter group and its mappings
+     * 
+     * @param {string} groupId - Group name passed to registerParamGroup()
+     */
+    unregisterParamGroup(groupId) {
+        const params = this.paramGroups.get(groupId);
+        if (!params) return;
+        
+        params.forEach(param => delete this.mappings[param.id]);
+        this.paramGroups.delete(groupId);
+    }
+    
+    /**
+     * Get all parameters from registered groups (flat list)
+     * 
+     * @returns {Array<Object>} Parameter definitions
+     */
+    getGroupParams() {
+        return [...this.paramGroups.values()].flat();
+    }
+    
     /**
      * Intelligent mapping algorithm
      * 
@@ -198,12 +292,12 @@ export class ParameterMapper {
             // Sampler mode: Sample position and rhythm most important
             critical: ['noteSpacing', 'sampleOffset', 'duration'],
             important: ['pitch', 'pan', 'delayTime', 'delayFeedback', 'delayMix', 'attack', 'release'],
-            subtle: ['filterFreq', 'filterQ', 'reverbDecay', 'reverbMix']
+            subtle: ['filterFreq', 'filterQ', 'reverbDecay', 'reverbMix', 'sampleIndex', 'delayDamping', 'decay', 'sustain']
         } : {
             // Synthesizer mode: Rhythm and frequency most important
             critical: ['noteSpacing', 'frequency', 'duration'],
             important: ['pan', 'filterFreq', 'delayTime', 'delayFeedback', 'delayMix', 'attack', 'release'],
-            subtle: ['filterQ', 'reverbDecay', 'reverbMix']
+            subtle: ['filterQ', 'reverbDecay', 'reverbMix', 'delayDamping', 'decay', 'sustain', 'harmonics', 'brightness', 'pulseWidth', 'fmRatio', 'fmIndex']
         };
         
         // ====================================================================
@@ -225,10 +319,11 @@ export class ParameterMapper {
                 
                 // Set musically interesting ranges for each parameter
                 if (param === 'frequency') {
-                    // Use pentatonic scale frequencies for guaranteed consonance
-                    const pentatonic = [261.63, 293.66, 329.63, 392.00, 440.00, 523.25, 587.33, 659.25, 783.99, 880.00];
-                    this.mappings[param].min = pentatonic[0];
-                    this.mappings[param].max = pentatonic[pentatonic.length - 1];
+                    // Two periods of the selected scale from the root (C pentatonic: C4 → A5)
+                    // so the range starts and ends on notes of the key
+                    const scaleNotes = scaleFrequencies(this.tuning.scale, this.tuning.root, 2);
+                    this.mappings[param].min = scaleNotes[0];
+                    this.mappings[param].max = scaleNotes[scaleNotes.length - 1];
                 } else if (param === 'duration') {
                     this.mappings[param].min = 100;
                     this.mappings[param].max = 600;
@@ -346,6 +441,11 @@ export class ParameterMapper {
             });
         }
         
+        // ====================================================================
+        // STEP 8: Geographic data → 3D position (spatial mode only)
+        // ====================================================================
+        this.mapGeoPaths(numericPaths);
+        
         // Verify noteSpacing is mapped (important for rhythm)
         if (!this.mappings['noteSpacing']?.path) {
             console.warn('⚠️ NOTE SPACING NOT MAPPED - Will use automatic variation (±20% random)');
@@ -357,6 +457,35 @@ export class ParameterMapper {
         console.log('=== Smart Mapping Complete ===');
     }
     
+    /**
+     * Map longitude → azimuth and latitude → elevation
+     * 
+     * Only runs when spatial params are registered (spatial mode on).
+     * West-to-east spreads notes around the listener, south-to-north moves them
+     * from below to above - you hear WHERE each data point is.
+     * The dataset's own extent is stretched over the full range (like every mapping),
+     * so a regional dataset still uses the whole circle.
+     * 
+     * @param {Array} numericPaths - Detected numeric field paths
+     * @returns {boolean} True if at least one geo field was mapped
+     */
+    mapGeoPaths(numericPaths) {
+        if (!this.mappings['azimuth'] || !this.mappings['elevation']) return false;
+        
+        const geo = findGeoPaths(numericPaths);
+        
+        if (geo.longitude) {
+            Object.assign(this.mappings['azimuth'], { path: geo.longitude, min: -180, max: 180, curve: 'linear' });
+            console.log(`🌍 Mapped ${geo.longitude} → azimuth (longitude)`);
+        }
+        if (geo.latitude) {
+            Object.assign(this.mappings['elevation'], { path: geo.latitude, min: -60, max: 60, curve: 'linear' });
+            console.log(`🌍 Mapped ${geo.latitude} → elevation (latitude)`);
+        }
+        
+        return !!(geo.longitude || geo.latitude);
+    }
+    
     /**
      * Randomize which data fields map to which audio parameters
      * 
@@ -0,0 +1,243 @@
+/**
+ * MODULE: Scheduler
+ * 
+ * Purpose: Sample-accurate look-ahead note scheduling ("A Tale of Two Clocks")
+ * 
+ * Key Exports:
+ * - NoteScheduler class - Queues notes ahead of time on the audio clock
+ *   - start() - Begin scheduling steps from now
+ *   - stop() - Stop scheduling and clear pending UI events
+ *   - isRunning - Whether the scheduler is active
+ * - runAtRenderTime() - Run a callback when an offline render reaches a time
+ * 
+ * Dependencies:
+ * - None (pure Web Audio API timing)
+ * 
+ * Used By:
+ * - main.js (playback loop, WAV export windows)
+ * - lib/effects-rack.js (deferred reverb swaps in offline renders)
+ * 
+ * Browser APIs Used:
+ * - AudioContext.currentTime (the audio clock - sample accurate)
+ * - OfflineAudioContext.suspend() (pause a render to change the graph)
+ * - setInterval (only to wake up and refill the queue)
+ * - requestAnimationFrame (to sync UI updates with what you hear)
+ */
+
+/**
+ * Note Scheduler Class
+ * 
+ * Why not just setTimeout between notes?
+ * JavaScript timers run on the main thread. When the page is busy (D3 redraws,
+ * garbage collection, scrolling) a 80ms timeout might fire at 95ms, then 70ms...
+ * At fast tempos you hear the rhythm drift and stutter.
+ * 
+ * The fix is to use two clocks:
+ * - The AUDIO clock (audioContext.currentTime) decides WHEN notes play.
+ *   Notes are started with exact times like osc.start(12.340), so the audio
+ *   thread plays them sample-accurately no matter what the main thread is doing.
+ * - A loose TIMER (every 25ms) just wakes up and asks: "which notes start in the
+ *   next 100ms?" and schedules them. If the timer is late, notes are still on time,
+ *   because they were queued in advance.
+ * 
+ * UI updates (patch viz, item counter) ride on a third loop: requestAnimationFrame
+ * checks which queued notes the audio clock has reached and shows them, so the
+ * visuals follow the sound instead of driving it.
+ * 
+ * This is a class because:
+ * - Timer and animation frame IDs must be tracked for cleanup
+ * - The next note time and step counter persist between timer ticks
+ * - The queue of scheduled UI events is shared between two loops
+ * 
+ * Usage:
+ *   const scheduler = new NoteScheduler(audioContext);
+ *   scheduler.start({
+ *       scheduleStep: (step, time) => {
+ *           playNote(params, engine, time);
+ *           return { delay: 300, data: { item } };  // ms until next step
+ *       },
+ *       onStep: (step, data) => updateUI(data)       // called when the note is heard
+ *   });
+ *   // ... later
+ *   scheduler.stop();
+ */
+export class NoteScheduler {
+    /**
+     * @param {AudioContext} audioContext - Context whose clock drives scheduling
+     * @param {Object} options - Timing options
+     * @param {number} options.lookahead - How often the timer wakes up (ms)
+     * @param {number} options.scheduleAheadTime - How far ahead to queue notes (seconds)
+     * @param {number} options.startDelay - Gap before the first note (seconds)
+     */
+    constructor(audioContext, { lookahead = 25, scheduleAheadTime = 0.1, startDelay = 0.05 } = {}) {
+        this.audioContext = audioContext;
+        this.lookahead = lookahead;
+        this.scheduleAheadTime = scheduleAheadTime;
+        this.startDelay = startDelay;
+        
+        // Scheduling state
+        this.isRunning = false;
+        this.nextStepTime = 0;
+        this.currentStep = 0;
+        this.timerId = null;
+        
+        // UI sync state: steps that are queued but not yet heard
+        this.eventQueue = [];
+        this.animationId = null;
+        
+        // Callbacks (set in start())
+        this.scheduleStep = null;
+        this.onStep = null;
+    }
+    
+    /**
+     * Start scheduling from the current audio time
+     * 
+     * @param {Object} callbacks
+     * @param {Function} callbacks.scheduleStep - (step, time) → { delay, data }
+     *   Called once per step, slightly BEFORE it's heard. Must start audio at `time`
+     *   and return the delay (ms) until the next step.
+     * @param {Function} callbacks.onStep - (step, data, time) → void
+     *   Called on the animation frame where the audio clock reaches the step.
+     */
+    start({ scheduleStep, onStep = null }) {
+        if (this.isRunning) {
+            this.stop();
+        }
+        
+        this.scheduleStep = scheduleStep;
+        this.onStep = onStep;
+        this.isRunning = true;
+        this.currentStep = 0;
+        this.eventQueue = [];
+        this.nextStepTime = this.audioContext.currentTime + this.startDelay;
+        
+        // Fill the first window immediately, then keep it topped up
+        this._tick();
+        this.timerId = setInterval(() => this._tick(), this.lookahead);
+        this._drawLoop();
+    }
+    
+    /**
+     * Stop scheduling
+     * 
+     * Notes already handed to the audio thread (up to scheduleAheadTime ahead)
+     * will still play - they're already on the audio clock.
+     */
+    stop() {
+        this.isRunning = false;
+        
+        if (this.timerId) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+        
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        this.eventQueue = [];
+    }
+    
+    /**
+     * Timer callback: queue every step that starts inside the look-ahead window
+     * 
+     * Background tabs throttle setInterval to about once a second. Catching up
+     * on every step that should have played meanwhile would start them all at
+     * once, so when the next step is already in the past the grid restarts
+     * from now - the missed time is skipped, no data step is lost.
+     * @private
+     */
+    _tick() {
+        if (!this.isRunning) return;
+        
+        const now = this.audioContext.currentTime;
+        if (this.nextStepTime < now) {
+            this.nextStepTime = now;
+        }
+        
+        const horizon = now + this.scheduleAheadTime;
+        
+        while (this.isRunning && this.nextStepTime < horizon) {
+            const time = this.nextStepTime;
+            const result = this.scheduleStep(this.currentStep, time) || {};
+            
+            this.eventQueue.push({ step: this.currentStep, time, data: result.data });
+            
+            // Never schedule two steps at the same instant (avoids an infinite loop on delay 0)
+            this.nextStepTime += Math.max(0.001, (result.delay || 0) / 1000);
+            this.currentStep++;
+        }
+    }
+    
+    /**
+     * Animation loop: fire onStep for steps the audio clock has reached
+     * Only the latest due step is shown (skipped frames don't replay old steps)
+     * @private
+     */
+    _drawLoop() {
+        const now = this.audioContext.currentTime;
+        let latest = null;
+        
+        while (this.eventQueue.length > 0 && this.eventQueue[0].time <= now) {
+            latest = this.eventQueue.shift();
+        }
+        
+        if (latest && this.onStep) {
+            this.onStep(latest.step, latest.data, latest.time);
+        }
+        
+        if (this.isRunning) {
+            this.animationId = requestAnimationFrame(() => this._drawLoop());
+        }
+    }
+}
+
+// ============================================================================
+// OFFLINE RENDERS
+// ============================================================================
+
+const RENDER_QUANTUM = 128; // Frames per render block - suspend times snap to these
+
+// Callbacks waiting for each offline context, by frame (one suspend per frame)
+const renderCallbacks = new WeakMap();
+
+/**
+ * Run a callback when an offline render reaches a time
+ * 
+ * An offline context renders as fast as it can, so there's no timer to wait
+ * on - the render is paused with suspend(), the graph changed, then resumed.
+ * A context accepts only one suspend per 128-frame block, so everything that
+ * pauses a render (export windows, reverb swaps) goes through here and
+ * callbacks for the same block share one suspend.
+ * 
+ * @param {OfflineAudioContext} ctx - Context (rendering or about to)
+ * @param {number} time - Context time; rounded UP to a block boundary, so the callback never runs early
+ * @param {Function} callback - Runs while the render is paused (currentTime = the block's start)
+ */
+export function runAtRenderTime(ctx, time, callback) {
+    // Tolerance keeps times that are already on a boundary (up to float error) on that block
+    const frame = Math.ceil(time * ctx.sampleRate / RENDER_QUANTUM - 1e-6) * RENDER_QUANTUM;
+    if (frame >= ctx.length) return; // After the end - nothing would be heard
+    
+    if (!renderCallbacks.has(ctx)) renderCallbacks.set(ctx, new Map());
+    const waiting = renderCallbacks.get(ctx);
+    if (waiting.has(frame)) {
+        waiting.get(frame).push(callback);
+        return;
+    }
+    
+    waiting.set(frame, [callback]);
+    ctx.suspend(frame / ctx.sampleRate)
+        .then(() => {
+            const callbacks = waiting.get(frame);
+            waiting.delete(frame);
+            try {
+                callbacks.forEach(run => run());
+            } finally {
+                ctx.resume(); // Even after an error - a render left suspended never finishes
+            }
+        })
+        .catch(error => console.warn(`⚠️ Could not pause the render at ${frame} frames:`, error.message));
+}
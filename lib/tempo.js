@@ -0,0 +1,203 @@
+/**
+ * MODULE: Tempo
+ * 
+ * Purpose: Musical time - note divisions, the transport (tempo, meter, swing) and its rhythm grid
+ * 
+ * Key Exports:
+ * - DEFAULT_BPM - Tempo used when none is set
+ * - NOTE_DIVISIONS - Note lengths in beats (straight, dotted, triplet)
+ * - divisionToSeconds() - Length of a division at a tempo
+ * - snapToDivision() - Nearest division to a free time (for tempo-synced delay)
+ * - DEFAULT_TRANSPORT - Transport settings (tempo, meter, grid, swing)
+ * - scaleToTempo() - Mapped milliseconds (written at DEFAULT_BPM) → milliseconds at a tempo
+ * - stepsPerBar() - Grid steps in one bar of a meter
+ * - gridStepTime() - Start of a grid step, with swing
+ * - quantizeToGrid() - Free time → whole grid steps + swung delay from a grid position
+ * 
+ * Dependencies:
+ * - None (pure functions - no side effects, no external state)
+ * 
+ * Used By:
+ * - main.js (rhythmic quantization, tempo-synced delay, note durations)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript)
+ */
+
+/**
+ * 120 BPM = 2 beats per second, a quarter note lasts 0.5s
+ * 
+ * Also the reference tempo of mapped times: noteSpacing and duration ranges
+ * are written in milliseconds at 120 BPM and stretch with the transport tempo.
+ */
+export const DEFAULT_BPM = 120;
+
+/**
+ * Note divisions, measured in beats (1 beat = quarter note)
+ * - Dotted notes are 1.5× as long as the straight note
+ * - Triplets fit 3 notes in the space of 2 (2/3 as long)
+ */
+export const NOTE_DIVISIONS = [
+    { id: '1/16t', label: '1/16 triplet', beats: 1 / 6 },
+    { id: '1/16', label: '1/16', beats: 1 / 4 },
+    { id: '1/8t', label: '1/8 triplet', beats: 1 / 3 },
+    { id: '1/16d', label: 'dotted 1/16', beats: 3 / 8 },
+    { id: '1/8', label: '1/8', beats: 1 / 2 },
+    { id: '1/4t', label: '1/4 triplet', beats: 2 / 3 },
+    { id: '1/8d', label: 'dotted 1/8', beats: 3 / 4 },
+    { id: '1/4', label: '1/4', beats: 1 },
+    { id: '1/2t', label: '1/2 triplet', beats: 4 / 3 },
+    { id: '1/4d', label: 'dotted 1/4', beats: 3 / 2 },
+    { id: '1/2', label: '1/2', beats: 2 },
+    { id: '1/2d', label: 'dotted 1/2', beats: 3 },
+    { id: '1/1', label: 'whole', beats: 4 }
+];
+
+/**
+ * Length of a note division in seconds
+ * Pure function
+ * 
+ * @param {Object} division - Entry of NOTE_DIVISIONS (or any { beats })
+ * @param {number} bpm - Beats per minute
+ * @returns {number} Seconds
+ * 
+ * Example:
+ *   divisionToSeconds({ beats: 3 / 4 }, 120) → 0.375  (dotted 1/8 at 120 BPM)
+ */
+export function divisionToSeconds(division, bpm = DEFAULT_BPM) {
+    return division.beats * 60 / bpm;
+}
+
+/**
+ * Snap a free time to the nearest note division at a tempo
+ * Pure function
+ * 
+ * Compared on a log scale (ratios, not differences), the same way we hear
+ * rhythm and pitch: 0.2s → 0.25s is as big a step as 0.4s → 0.5s.
+ * 
+ * @param {number} seconds - Free time (e.g., a mapped delayTime)
+ * @param {number} bpm - Beats per minute
+ * @param {number} maxSeconds - Longest allowed result (e.g., DelayNode max time)
+ * @returns {Object} { division, seconds } - Chosen division and its length
+ * 
+ * Example:
+ *   snapToDivision(0.36, 120) → { division: { id: '1/8d', ... }, seconds: 0.375 }
+ */
+export function snapToDivision(seconds, bpm = DEFAULT_BPM, maxSeconds = Infinity) {
+    const candidates = NOTE_DIVISIONS.filter(d => divisionToSeconds(d, bpm) <= maxSeconds);
+    const pool = candidates.length > 0 ? candidates : [NOTE_DIVISIONS[0]];
+    const target = Math.log(Math.max(seconds, 1e-4));
+    
+    let best = pool[0];
+    pool.forEach(division => {
+        const distance = Math.abs(Math.log(divisionToSeconds(division, bpm)) - target);
+        if (distance < Math.abs(Math.log(divisionToSeconds(best, bpm)) - target)) {
+            best = division;
+        }
+    });
+    
+    return { division: best, seconds: divisionToSeconds(best, bpm) };
+}
+
+// ============================================================================
+// TRANSPORT (tempo, meter, grid, swing)
+// ============================================================================
+
+/**
+ * Transport settings
+ * - bpm: quarter notes per minute (like every DAW, whatever the meter)
+ * - beatsPerBar / beatUnit: the meter (3/4 → 3 beats of a quarter, 6/8 → 6 of an eighth)
+ * - grid: resolution quantized notes snap to (id from NOTE_DIVISIONS)
+ * - swing: 0 = straight, 2/3 = triplet shuffle, 1 = dotted (hardest)
+ */
+export const DEFAULT_TRANSPORT = {
+    bpm: DEFAULT_BPM,
+    beatsPerBar: 4,
+    beatUnit: 4,
+    grid: '1/16',
+    swing: 0
+};
+
+/**
+ * Convert a mapped time to the transport tempo
+ * Pure function
+ * 
+ * @param {number} ms - Time written at DEFAULT_BPM (e.g., noteSpacing)
+ * @param {number} bpm - Transport tempo
+ * @returns {number} Milliseconds at that tempo
+ * 
+ * Example:
+ *   scaleToTempo(300, 60) → 600  (half the tempo, twice as long)
+ */
+export function scaleToTempo(ms, bpm = DEFAULT_BPM) {
+    return bpm > 0 ? ms * DEFAULT_BPM / bpm : ms;
+}
+
+/**
+ * Helper: grid step length in beats
+ */
+function gridBeats(transport) {
+    const division = NOTE_DIVISIONS.find(d => d.id === transport.grid) || NOTE_DIVISIONS.find(d => d.id === '1/16');
+    return division.beats;
+}
+
+/**
+ * Number of grid steps in one bar
+ * Pure function
+ * 
+ * @param {Object} transport - See DEFAULT_TRANSPORT
+ * @returns {number} Steps (at least 1)
+ * 
+ * Example:
+ *   stepsPerBar({ ...DEFAULT_TRANSPORT, beatsPerBar: 3 }) → 12  (3/4 in 1/16 steps)
+ */
+export function stepsPerBar(transport) {
+    const barBeats = transport.beatsPerBar * 4 / transport.beatUnit;
+    return Math.max(1, Math.round(barBeats / gridBeats(transport)));
+}
+
+/**
+ * Start time of a grid step, counted from step 0
+ * Pure function
+ * 
+ * Swing delays every second (off-beat) step by up to half a step, so pairs
+ * of steps go long-short instead of even. It never moves the on-beats,
+ * so the bar lines stay where they are.
+ * 
+ * @param {number} step - Grid step index
+ * @param {Object} transport - See DEFAULT_TRANSPORT
+ * @returns {number} Seconds
+ * 
+ * Example:
+ *   gridStepTime(1, { ...DEFAULT_TRANSPORT, swing: 1 }) → 0.1875  (1/16 at 120 BPM = 0.125s, + half a step)
+ */
+export function gridStepTime(step, transport) {
+    const stepSeconds = gridBeats(transport) * 60 / transport.bpm;
+    const swing = Math.max(0, Math.min(1, transport.swing || 0));
+    return step * stepSeconds + (step % 2 === 1 ? swing * stepSeconds / 2 : 0);
+}
+
+/**
+ * Quantize a free time to whole grid steps, starting from a grid position
+ * Pure function
+ * 
+ * The time is rounded to the nearest number of steps (1 step up to one bar).
+ * The delay is measured between the swung step times, so it depends on
+ * where the note starts - that's why the caller keeps the grid position.
+ * 
+ * @param {number} seconds - Free time (e.g., noteSpacing at the transport tempo)
+ * @param {Object} transport - See DEFAULT_TRANSPORT
+ * @param {number} fromStep - Grid step the current note starts on
+ * @returns {Object} { steps, seconds } - Steps to advance, delay until the next note
+ * 
+ * Example:
+ *   quantizeToGrid(0.3, DEFAULT_TRANSPORT, 0) → { steps: 2, seconds: 0.25 }
+ */
+export function quantizeToGrid(seconds, transport, fromStep = 0) {
+    const stepSeconds = gridBeats(transport) * 60 / transport.bpm;
+    const steps = Math.max(1, Math.min(stepsPerBar(transport), Math.round(seconds / stepSeconds)));
+    return {
+        steps,
+        seconds: gridStepTime(fromStep + steps, transport) - gridStepTime(fromStep, transport)
+    };
+}
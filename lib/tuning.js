@@ -0,0 +1,280 @@
+/**
+ * MODULE: Tuning
+ * 
+ * Purpose: Scales, root key and reference pitch for pitch quantization - including microtonal Scala tunings
+ * 
+ * Key Exports:
+ * - NOTE_NAMES / BUILT_IN_SCALES - Root note names and the preset scales (in cents)
+ * - DEFAULT_REFERENCE_PITCH - A4 in Hz
+ * - rootFrequency() - Root note + reference pitch → root frequency in octave 4
+ * - scaleFromSemitones() - Pitch classes (0-11) → scale in cents (custom scale editor)
+ * - parseScala() - .scl file text → scale (cents + period)
+ * - parseKeyboardMapping() / keyboardMappingRoot() - .kbm file text → root frequency
+ * - quantizeToScale() - Snap a frequency to the nearest scale degree
+ * - scaleFrequencies() - Scale degrees over a span of periods (default mapping ranges)
+ * 
+ * Dependencies:
+ * - None (pure functions - no side effects, no external state)
+ * 
+ * Used By:
+ * - main.js (pitch quantization, tuning settings, Scala import)
+ * - lib/parameter-mapper.js (frequency range of intelligentMapping)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript)
+ */
+
+/**
+ * Why cents?
+ * A cent is 1/100 of an equal-tempered semitone (1200 per octave). Written in
+ * cents, 12-tone scales are just multiples of 100, and any other tuning -
+ * just intonation, 7-tone Thai, 17-tone Arabic, Bohlen-Pierce (which repeats
+ * at a 3/1 "tritave", not the octave) - fits the same shape:
+ * a list of degrees from 0 plus the period where the pattern repeats.
+ */
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const DEFAULT_REFERENCE_PITCH = 440;
+
+/**
+ * Preset scales: degrees in cents above the root, repeating every period
+ */
+export const BUILT_IN_SCALES = {
+    pentatonic: { name: 'Pentatonic', cents: [0, 200, 400, 700, 900], period: 1200 },
+    major: { name: 'Major', cents: [0, 200, 400, 500, 700, 900, 1100], period: 1200 },
+    minor: { name: 'Natural Minor', cents: [0, 200, 300, 500, 700, 800, 1000], period: 1200 },
+    dorian: { name: 'Dorian', cents: [0, 200, 300, 500, 700, 900, 1000], period: 1200 },
+    mixolydian: { name: 'Mixolydian', cents: [0, 200, 400, 500, 700, 900, 1000], period: 1200 },
+    chromatic: { name: 'Chromatic', cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100], period: 1200 }
+};
+
+/**
+ * Frequency of a root note in octave 4 (C4 - B4), equal-tempered from A4
+ * Pure function
+ * 
+ * @param {number} root - Pitch class 0-11 (0 = C, see NOTE_NAMES)
+ * @param {number} referencePitch - A4 in Hz (440 standard, 432 / 415 / 442 are common too)
+ * @returns {number} Hz
+ * 
+ * Example:
+ *   rootFrequency(0)      → 261.63  (C4)
+ *   rootFrequency(9, 432) → 432     (A4)
+ */
+export function rootFrequency(root = 0, referencePitch = DEFAULT_REFERENCE_PITCH) {
+    return referencePitch * Math.pow(2, (root - 9) / 12);
+}
+
+/**
+ * Build a 12-tone scale from pitch classes (what the scale editor toggles)
+ * Pure function
+ * 
+ * @param {Array<number>} semitones - Pitch classes above the root (0-11)
+ * @param {string} name - Scale name
+ * @returns {Object} { name, cents, period } - Degree 0 (the root) is always included
+ * 
+ * Example:
+ *   scaleFromSemitones([7, 0, 3]) → { name: 'Custom', cents: [0, 300, 700], period: 1200 }
+ */
+export function scaleFromSemitones(semitones, name = 'Custom') {
+    const classes = new Set([0, ...semitones.map(s => ((Math.round(s) % 12) + 12) % 12)]);
+    return { name, cents: [...classes].sort((a, b) => a - b).map(s => s * 100), period: 1200 };
+}
+
+/**
+ * Helper: non-comment lines of a Scala file ('!' starts a comment line)
+ */
+function scalaLines(text) {
+    return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+/**
+ * Helper: one Scala pitch → cents
+ * "701.955" (has a dot) is cents, "3/2" or "2" is a frequency ratio;
+ * anything after the number is a comment
+ */
+function parseScalaPitch(line) {
+    const token = line.trim().split(/\s+/)[0] || '';
+    
+    if (token.includes('.')) {
+        const cents = parseFloat(token);
+        return isFinite(cents) ? cents : NaN;
+    }
+    
+    const [numerator, denominator = '1'] = token.split('/');
+    const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+    return ratio > 0 ? 1200 * Math.log2(ratio) : NaN;
+}
+
+/**
+ * Parse a Scala scale file (.scl)
+ * Pure function
+ * 
+ * Format (huygens-fokker.org/scala/scl_format.html):
+ *   ! comment lines
+ *   Description line
+ *   Number of notes
+ *   One pitch per line (cents or ratio), the root 1/1 is implied,
+ *   the last pitch is the period (usually 2/1 = 1200 cents)
+ * 
+ * @param {string} text - File contents
+ * @param {string} fallbackName - Used when the description is empty (e.g., the file name)
+ * @returns {Object} { name, cents, period } - Degrees sorted, starting at 0
+ * @throws {Error} If the file isn't a valid scale
+ * 
+ * Example:
+ *   parseScala('Just major\n 3\n 5/4\n 3/2\n 2/1')
+ *   → { name: 'Just major', cents: [0, 386.31, 701.96], period: 1200 }
+ */
+export function parseScala(text, fallbackName = 'Scala tuning') {
+    const lines = scalaLines(text);
+    if (lines.length < 2) {
+        throw new Error('Invalid Scala file: missing description or note count');
+    }
+    
+    const name = lines[0].trim() || fallbackName;
+    const count = parseInt(lines[1], 10);
+    const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+    
+    if (!(count > 0)) {
+        throw new Error('Invalid Scala file: note count must be at least 1');
+    }
+    if (pitchLines.length < count) {
+        throw new Error(`Invalid Scala file: expected ${count} pitches, found ${pitchLines.length}`);
+    }
+    
+    const pitches = pitchLines.slice(0, count).map(parseScalaPitch);
+    const invalid = pitches.findIndex(cents => isNaN(cents));
+    if (invalid >= 0) {
+        throw new Error(`Invalid Scala file: can't read pitch "${pitchLines[invalid].trim()}"`);
+    }
+    
+    const period = pitches[pitches.length - 1];
+    if (!(period > 0)) {
+        throw new Error('Invalid Scala file: the last pitch (the period) must be above 1/1');
+    }
+    
+    const cents = [0, ...pitches.slice(0, -1).filter(c => c > 0 && c < period)].sort((a, b) => a - b);
+    return { name, cents, period };
+}
+
+/**
+ * Parse a Scala keyboard mapping file (.kbm)
+ * Pure function
+ * 
+ * Format (huygens-fokker.org/scala/help.htm#mappings), one value per line:
+ *   map size (0 = linear), first note, last note, middle note (gets degree 0),
+ *   reference note, reference frequency, formal octave degree,
+ *   then one scale degree per map entry ('x' = unmapped key)
+ * 
+ * @param {string} text - File contents
+ * @returns {Object} { mapSize, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping }
+ * @throws {Error} If a required value is missing
+ */
+export function parseKeyboardMapping(text) {
+    const values = scalaLines(text).map(line => line.trim().split(/\s+/)[0]).filter(Boolean);
+    if (values.length < 7) {
+        throw new Error('Invalid keyboard mapping: expected at least 7 values');
+    }
+    
+    const mapSize = parseInt(values[0], 10);
+    const kbm = {
+        mapSize: mapSize > 0 ? mapSize : 0,
+        middleNote: parseInt(values[3], 10),
+        referenceNote: parseInt(values[4], 10),
+        referenceFrequency: parseFloat(values[5]),
+        octaveDegree: parseInt(values[6], 10) || 0,
+        mapping: values.slice(7, 7 + (mapSize > 0 ? mapSize : 0)).map(v => (v === 'x' ? null : parseInt(v, 10)))
+    };
+    
+    if (isNaN(kbm.middleNote) || isNaN(kbm.referenceNote) || !(kbm.referenceFrequency > 0)) {
+        throw new Error('Invalid keyboard mapping: middle note, reference note and frequency are required');
+    }
+    return kbm;
+}
+
+/**
+ * Frequency of scale degree 0 (the root) under a keyboard mapping
+ * Pure function
+ * 
+ * The .kbm file tunes its REFERENCE note (e.g., A4 = 440) and puts degree 0
+ * on its MIDI middle note (e.g., 60): we walk back from the reference to get
+ * the root. Unmapped reference keys fall back to a linear mapping.
+ * 
+ * @param {Object} kbm - Result of parseKeyboardMapping()
+ * @param {Object} scale - { cents, period }
+ * @returns {number} Root frequency in Hz
+ */
+export function keyboardMappingRoot(kbm, scale) {
+    const offset = kbm.referenceNote - kbm.middleNote;
+    let degree = offset;
+    
+    if (kbm.mapSize > 0) {
+        const index = ((offset % kbm.mapSize) + kbm.mapSize) % kbm.mapSize;
+        const octaves = Math.floor(offset / kbm.mapSize);
+        const mapped = kbm.mapping[index];
+        if (mapped !== null && mapped !== undefined && !isNaN(mapped)) {
+            degree = mapped + octaves * (kbm.octaveDegree || scale.cents.length);
+        }
+    }
+    
+    const size = scale.cents.length;
+    const periods = Math.floor(degree / size);
+    const cents = periods * scale.period + scale.cents[((degree % size) + size) % size];
+    return kbm.referenceFrequency / Math.pow(2, cents / 1200);
+}
+
+/**
+ * Snap a frequency to the nearest degree of a scale
+ * Pure function
+ * 
+ * Distances are measured in cents (how far apart notes SOUND), and the
+ * next period's root counts as a candidate - so a note just below C5
+ * snaps up to C5 instead of down to A4.
+ * 
+ * @param {number} frequency - Hz
+ * @param {Object} scale - { cents, period }
+ * @param {number} root - Frequency of degree 0 (any octave)
+ * @returns {number} Quantized frequency in Hz
+ * 
+ * Example:
+ *   quantizeToScale(450, BUILT_IN_SCALES.major, 261.63) → 440  (A4)
+ */
+export function quantizeToScale(frequency, scale, root) {
+    if (!(frequency > 0) || !(root > 0)) return frequency;
+    
+    const cents = 1200 * Math.log2(frequency / root);
+    const periods = Math.floor(cents / scale.period);
+    const within = cents - periods * scale.period;
+    
+    let nearest = scale.cents[0];
+    [...scale.cents, scale.period].forEach(degree => {
+        if (Math.abs(degree - within) < Math.abs(nearest - within)) {
+            nearest = degree;
+        }
+    });
+    
+    return root * Math.pow(2, (periods * scale.period + nearest) / 1200);
+}
+
+/**
+ * Scale frequencies from the root upward
+ * Pure function
+ * 
+ * @param {Object} scale - { cents, period }
+ * @param {number} root - Frequency of the first degree
+ * @param {number} periods - How many periods (octaves) to cover
+ * @returns {Array<number>} Ascending frequencies (the top root is excluded)
+ * 
+ * Example:
+ *   scaleFrequencies(BUILT_IN_SCALES.pentatonic, 261.63, 2)
+ *   → [261.63, 293.66, 329.63, 392.00, 440.00, 523.25, 587.33, 659.26, 783.99, 880.00]
+ */
+export function scaleFrequencies(scale, root, periods = 2) {
+    const frequencies = [];
+    for (let period = 0; period < periods; period++) {
+        scale.cents.forEach(degree => {
+            frequencies.push(root * Math.pow(2, (period * scale.period + degree) / 1200));
+        });
+    }
+    return frequencies;
+}
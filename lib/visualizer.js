@@ -0,0 +1,216 @@
+/**
+ * MODULE: Visualizer
+ * 
+ * Purpose: Math behind the visualizer modes - log frequency axes, peak hold, spectrogram colors, goniometer
+ * 
+ * Key Exports:
+ * - VISUALIZER_MODES - Oscilloscope, spectrum, spectrogram, goniometer (+ analyser settings per mode)
+ * - frequencyToPosition() / positionToFrequency() - Log frequency axis (20 Hz → Nyquist as 0-1)
+ * - logBinEdges() / logSpectrum() - FFT bins → one value per pixel on a log axis
+ * - updatePeakHold() - Peaks that fall slowly after the signal drops
+ * - spectrogramColor() - 0-1 level → heat map color
+ * - goniometerPoint() / stereoCorrelation() - Stereo image of L/R samples
+ * 
+ * Dependencies:
+ * - None (pure functions - the drawing itself is in lib/audio-engine.js)
+ * 
+ * Used By:
+ * - lib/audio-engine.js (drawVisualizer and the mode drawers)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript)
+ */
+
+/**
+ * Visualizer modes
+ * Switching only changes the analysers' fftSize/smoothing - they stay
+ * connected, so the mode can change while playing.
+ * 
+ * - oscilloscope: L/R waveforms (time domain)
+ * - spectrum: level per frequency on a log axis, with peak hold
+ * - spectrogram: spectrum over time, scrolling right to left
+ * - goniometer: L/R as X/Y (Lissajous) - mono is a vertical line, wide stereo a cloud
+ * 
+ * Bigger FFTs separate low notes better (4096 at 48kHz ≈ 12 Hz per bin)
+ * but react slower, so the waveform modes keep 1024.
+ */
+export const VISUALIZER_MODES = {
+    oscilloscope: { label: 'Oscilloscope', fftSize: 1024, smoothing: 0.3 },
+    spectrum: { label: 'Spectrum', fftSize: 4096, smoothing: 0.75 },
+    spectrogram: { label: 'Spectrogram', fftSize: 2048, smoothing: 0.2 },
+    goniometer: { label: 'Goniometer', fftSize: 1024, smoothing: 0 }
+};
+
+export const MIN_FREQUENCY = 20;
+
+/**
+ * Position of a frequency on a log axis
+ * Pure function - equal distances are equal musical intervals (an octave is always the same width)
+ * 
+ * @param {number} frequency - Hz
+ * @param {number} maxFrequency - Top of the axis (Nyquist = sampleRate / 2)
+ * @param {number} minFrequency - Bottom of the axis
+ * @returns {number} 0-1 (clamped)
+ * 
+ * Example:
+ *   frequencyToPosition(632, 20000) → 0.5  (halfway between 20 Hz and 20 kHz)
+ */
+export function frequencyToPosition(frequency, maxFrequency, minFrequency = MIN_FREQUENCY) {
+    if (!(frequency > 0)) return 0;
+    const position = Math.log(frequency / minFrequency) / Math.log(maxFrequency / minFrequency);
+    return Math.max(0, Math.min(1, position));
+}
+
+/**
+ * Frequency at a position of the log axis (inverse of frequencyToPosition)
+ * Pure function
+ * 
+ * @param {number} position - 0-1
+ * @param {number} maxFrequency - Top of the axis
+ * @param {number} minFrequency - Bottom of the axis
+ * @returns {number} Hz
+ */
+export function positionToFrequency(position, maxFrequency, minFrequency = MIN_FREQUENCY) {
+    return minFrequency * Math.pow(maxFrequency / minFrequency, position);
+}
+
+/**
+ * Which FFT bins fall into each pixel of a log axis
+ * Pure function - computed once per canvas size, not per frame
+ * 
+ * Pixel p covers bins edges[p] up to (not including) edges[p + 1].
+ * At the low end one bin spans several pixels (edges repeat), at the
+ * high end one pixel spans many bins.
+ * 
+ * @param {number} binCount - analyser.frequencyBinCount
+ * @param {number} sampleRate - Context sample rate
+ * @param {number} pixels - Axis length in pixels
+ * @param {number} minFrequency - Left/bottom edge of the axis
+ * @returns {Uint32Array} pixels + 1 bin indices
+ */
+export function logBinEdges(binCount, sampleRate, pixels, minFrequency = MIN_FREQUENCY) {
+    const nyquist = sampleRate / 2;
+    const binWidth = nyquist / binCount;
+    const edges = new Uint32Array(pixels + 1);
+    
+    for (let p = 0; p <= pixels; p++) {
+        const frequency = positionToFrequency(p / pixels, nyquist, minFrequency);
+        edges[p] = Math.min(binCount - 1, Math.floor(frequency / binWidth));
+    }
+    
+    return edges;
+}
+
+/**
+ * FFT bins → one level per pixel (the loudest bin in each pixel's range)
+ * Pure function
+ * 
+ * @param {Uint8Array} bins - analyser.getByteFrequencyData() output (0-255)
+ * @param {Uint32Array} edges - Result of logBinEdges()
+ * @param {Float32Array} output - Reused per frame (optional)
+ * @returns {Float32Array} Level 0-1 per pixel
+ */
+export function logSpectrum(bins, edges, output = new Float32Array(edges.length - 1)) {
+    for (let p = 0; p < edges.length - 1; p++) {
+        const end = Math.max(edges[p] + 1, edges[p + 1]);
+        let peak = 0;
+        for (let bin = edges[p]; bin < end; bin++) {
+            if (bins[bin] > peak) peak = bins[bin];
+        }
+        output[p] = peak / 255;
+    }
+    return output;
+}
+
+/**
+ * Peak hold: each peak jumps up with the signal and falls back slowly
+ * Mutates peaks in place (called every frame)
+ * 
+ * @param {Float32Array} peaks - Current peaks (same length as values)
+ * @param {Float32Array} values - This frame's levels
+ * @param {number} fall - How much a peak drops per frame
+ * @returns {Float32Array} peaks
+ * 
+ * Example:
+ *   updatePeakHold([0.8], [0.2], 0.01) → [0.79]
+ */
+export function updatePeakHold(peaks, values, fall = 0.005) {
+    for (let i = 0; i < peaks.length; i++) {
+        peaks[i] = Math.max(values[i] || 0, peaks[i] - fall);
+    }
+    return peaks;
+}
+
+// Heat map stops: [level, [r, g, b]] - quiet is the canvas background, loud is navy
+const HEAT_STOPS = [
+    [0, [255, 255, 255]],
+    [0.35, [170, 210, 255]],
+    [0.65, [0, 123, 255]],
+    [1, [0, 20, 60]]
+];
+
+/**
+ * Spectrogram color for a level (interpolated between HEAT_STOPS)
+ * Pure function
+ * 
+ * @param {number} value - Level 0-1
+ * @returns {Array<number>} [r, g, b] 0-255
+ */
+export function spectrogramColor(value) {
+    const v = Math.max(0, Math.min(1, value || 0));
+    
+    for (let i = 1; i < HEAT_STOPS.length; i++) {
+        const [position, color] = HEAT_STOPS[i];
+        if (v <= position) {
+            const [previousPosition, previousColor] = HEAT_STOPS[i - 1];
+            const t = (v - previousPosition) / (position - previousPosition);
+            return color.map((channel, c) => Math.round(previousColor[c] + (channel - previousColor[c]) * t));
+        }
+    }
+    return HEAT_STOPS[HEAT_STOPS.length - 1][1];
+}
+
+/**
+ * Goniometer point for one stereo sample
+ * Pure function
+ * 
+ * The L/R plot is rotated 45° (the way mixing desks show it): mid (L + R)
+ * goes up, side (R - L) goes sideways. A centered mono note draws a vertical
+ * line, a hard-left note leans left, out-of-phase content goes horizontal.
+ * 
+ * @param {number} left - Sample -1 to 1
+ * @param {number} right - Sample -1 to 1
+ * @returns {Object} { x, y } - each -1 to 1 (for full-scale mono, y = ±1)
+ */
+export function goniometerPoint(left, right) {
+    return {
+        x: (right - left) / 2,
+        y: (left + right) / 2
+    };
+}
+
+/**
+ * Stereo correlation of a block of samples
+ * Pure function
+ * 
+ * +1 = mono (both channels the same), 0 = unrelated (very wide),
+ * -1 = out of phase (cancels out when summed to mono)
+ * 
+ * @param {Float32Array} left - Left samples
+ * @param {Float32Array} right - Right samples
+ * @returns {number} -1 to 1 (0 for silence)
+ */
+export function stereoCorrelation(left, right) {
+    let sumLR = 0;
+    let sumLL = 0;
+    let sumRR = 0;
+    
+    for (let i = 0; i < left.length; i++) {
+        sumLR += left[i] * right[i];
+        sumLL += left[i] * left[i];
+        sumRR += right[i] * right[i];
+    }
+    
+    const energy = Math.sqrt(sumLL * sumRR);
+    return energy > 0 ? sumLR / energy : 0;
+}
@@ -0,0 +1,129 @@
+/**
+ * MODULE: WAV Encoder
+ * 
+ * Purpose: Encode rendered audio (Float32 sample data) as a PCM WAV file
+ * 
+ * Key Exports:
+ * - encodeWAV() - Interleave channels and write a 16/24-bit PCM WAV file
+ * - audioBufferToWAVBlob() - Convenience wrapper for AudioBuffer → Blob download
+ * 
+ * Dependencies:
+ * - None (pure functions - no side effects, no external state)
+ * 
+ * Used By:
+ * - main.js (Export WAV after offline rendering)
+ * 
+ * Browser APIs Used:
+ * - Blob (audioBufferToWAVBlob only)
+ */
+
+/**
+ * Supported PCM bit depths
+ * 16-bit is CD quality and opens everywhere; 24-bit keeps more headroom for editing
+ */
+export const WAV_BIT_DEPTHS = [16, 24];
+
+/**
+ * Encode channel data as a PCM WAV file
+ * Pure function - same samples in, same bytes out
+ * 
+ * WAV layout (little-endian):
+ * - 12-byte RIFF header ("RIFF", file size, "WAVE")
+ * - 24-byte "fmt " chunk (PCM format, channels, sample rate, bit depth)
+ * - 8-byte "data" chunk header followed by interleaved samples (L R L R ...)
+ * 
+ * Samples are clamped to -1..1 before conversion so overs don't wrap around
+ * into loud clicks (a value of 1.2 would otherwise become a large negative number).
+ * 
+ * @param {Array<Float32Array>} channels - One Float32Array per channel (equal lengths)
+ * @param {number} sampleRate - Sample rate in Hz (e.g., 44100)
+ * @param {number} bitDepth - 16 or 24
+ * @returns {ArrayBuffer} Complete WAV file bytes
+ * 
+ * Example:
+ *   const left = new Float32Array([0, 0.5, -0.5]);
+ *   const right = new Float32Array([0, 0.5, -0.5]);
+ *   encodeWAV([left, right], 44100, 16).byteLength → 44 + 3 * 2 * 2 = 56
+ */
+export function encodeWAV(channels, sampleRate, bitDepth = 16) {
+    if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+        throw new Error(`Unsupported bit depth: ${bitDepth} (use 16 or 24)`);
+    }
+    
+    const numChannels = channels.length;
+    const numFrames = numChannels > 0 ? channels[0].length : 0;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const byteRate = sampleRate * blockAlign;
+    const dataSize = numFrames * blockAlign;
+    
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+    
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    
+    // fmt chunk
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);          // Chunk size (16 for PCM)
+    view.setUint16(20, 1, true);           // Audio format (1 = PCM)
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, byteRate, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    
+    // data chunk
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+    
+    // Interleave and convert samples
+    // 16-bit range: -32768..32767, 24-bit range: -8388608..8388607
+    const maxPositive = Math.pow(2, bitDepth - 1) - 1;
+    const maxNegative = Math.pow(2, bitDepth - 1);
+    let offset = 44;
+    
+    for (let frame = 0; frame < numFrames; frame++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+            const sample = Math.max(-1, Math.min(1, channels[ch][frame] || 0));
+            const intSample = Math.round(sample < 0 ? sample * maxNegative : sample * maxPositive);
+            
+            if (bitDepth === 16) {
+                view.setInt16(offset, intSample, true);
+            } else {
+                // 24-bit has no DataView setter - write three bytes manually
+                view.setUint8(offset, intSample & 0xff);
+                view.setUint8(offset + 1, (intSample >> 8) & 0xff);
+                view.setUint8(offset + 2, (intSample >> 16) & 0xff);
+            }
+            offset += bytesPerSample;
+        }
+    }
+    
+    return buffer;
+}
+
+/**
+ * Convert a rendered AudioBuffer into a downloadable WAV Blob
+ * 
+ * @param {AudioBuffer} audioBuffer - Result of OfflineAudioContext.startRendering()
+ * @param {number} bitDepth - 16 or 24
+ * @returns {Blob} WAV file (type audio/wav)
+ */
+export function audioBufferToWAVBlob(audioBuffer, bitDepth = 16) {
+    const channels = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+        channels.push(audioBuffer.getChannelData(ch));
+    }
+    
+    const wav = encodeWAV(channels, audioBuffer.sampleRate, bitDepth);
+    return new Blob([wav], { type: 'audio/wav' });
+}
@@ -0,0 +1,173 @@
+/**
+ * MODULE: Wavetable
+ * 
+ * Purpose: Turn a column of the dataset into single-cycle waveforms (the data's shape becomes the timbre)
+ * 
+ * Key Exports:
+ * - WAVETABLE_SIZE / WAVETABLE_HARMONICS - Table resolution and partials kept for PeriodicWave
+ * - buildWavetable() - Resample + normalize values into one cycle
+ * - buildDataWavetables() - One table for the whole field, or one per consecutive window (morphing)
+ * - morphWavetables() - Blend between neighboring tables at a 0-1 position
+ * - wavetableToFourier() - Convert a cycle to real/imag arrays for createPeriodicWave()
+ * 
+ * Dependencies:
+ * - lib/data-processor.js (extractValues)
+ * 
+ * Used By:
+ * - main.js (data wavetable waveform)
+ * - lib/audio-engine.js (createWavetableWave)
+ * 
+ * Browser APIs Used:
+ * - None (pure JavaScript - AudioEngine turns the result into a PeriodicWave)
+ */
+
+import { extractValues } from './data-processor.js';
+
+/**
+ * Points per cycle - plenty for 64 harmonics (needs at least 128)
+ */
+export const WAVETABLE_SIZE = 256;
+
+/**
+ * Partials kept when converting to a PeriodicWave
+ * More partials = sharper edges, but also more aliasing on high notes
+ */
+export const WAVETABLE_HARMONICS = 64;
+
+/**
+ * Build one waveform cycle from a list of values
+ * Pure function
+ * 
+ * Steps:
+ * 1. Keep numbers only
+ * 2. Resample to `size` points (linear interpolation) - 12 values or 12,000, same cycle length
+ * 3. Subtract the mean (a waveform offset from 0 is silent DC that wastes headroom)
+ * 4. Scale so the biggest peak is ±1
+ * 
+ * @param {Array} values - Raw values (e.g., from extractValues())
+ * @param {number} size - Points in the cycle
+ * @returns {Float32Array|null} One cycle in -1..1 (null if fewer than 2 numbers or flat data)
+ * 
+ * Example:
+ *   buildWavetable([0, 10, 0, -10], 4) → Float32Array [0, 1, 0, -1] (approximately)
+ */
+export function buildWavetable(values, size = WAVETABLE_SIZE) {
+    const numbers = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
+    if (numbers.length < 2) return null;
+    
+    const table = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        const position = (i / (size - 1)) * (numbers.length - 1);
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, numbers.length - 1);
+        const fraction = position - index;
+        table[i] = numbers[index] + (numbers[next] - numbers[index]) * fraction;
+    }
+    
+    const mean = table.reduce((sum, v) => sum + v, 0) / size;
+    let peak = 0;
+    for (let i = 0; i < size; i++) {
+        table[i] -= mean;
+        peak = Math.max(peak, Math.abs(table[i]));
+    }
+    
+    if (peak === 0) return null;
+    
+    for (let i = 0; i < size; i++) {
+        table[i] /= peak;
+    }
+    
+    return table;
+}
+
+/**
+ * Build wavetables from a numeric field of the dataset
+ * Pure function
+ * 
+ * windowCount 1: the whole column becomes one cycle (static timbre).
+ * windowCount > 1: the column is cut into consecutive windows, one cycle each,
+ * so the timbre can follow the data as playback moves through it.
+ * 
+ * @param {Array|Object} data - Parsed dataset
+ * @param {string} path - Numeric field path (e.g., 'properties.mag')
+ * @param {number} windowCount - Number of tables to build
+ * @param {number} size - Points per cycle
+ * @returns {Array<Float32Array>} Tables in data order (empty if the field can't make a wave)
+ */
+export function buildDataWavetables(data, path, windowCount = 1, size = WAVETABLE_SIZE) {
+    const values = extractValues(data, path).map(v => parseFloat(v)).filter(v => !isNaN(v));
+    
+    // Every window needs at least 2 points to have a shape
+    const windows = Math.max(1, Math.min(Math.round(windowCount), Math.floor(values.length / 2)));
+    const windowLength = values.length / windows;
+    
+    const tables = [];
+    for (let w = 0; w < windows; w++) {
+        const slice = values.slice(Math.floor(w * windowLength), Math.floor((w + 1) * windowLength));
+        const table = buildWavetable(slice, size);
+        if (table) tables.push(table);
+    }
+    
+    return tables;
+}
+
+/**
+ * Blend between neighboring wavetables
+ * Pure function
+ * 
+ * @param {Array<Float32Array>} tables - Result of buildDataWavetables()
+ * @param {number} position - 0 (first table) to 1 (last table)
+ * @returns {Float32Array|null} Blended cycle
+ * 
+ * Example (3 tables):
+ *   position 0.25 → halfway between tables[0] and tables[1]
+ */
+export function morphWavetables(tables, position) {
+    if (tables.length === 0) return null;
+    if (tables.length === 1) return tables[0];
+    
+    const scaled = Math.max(0, Math.min(1, position)) * (tables.length - 1);
+    const index = Math.min(Math.floor(scaled), tables.length - 2);
+    const fraction = scaled - index;
+    const from = tables[index];
+    const to = tables[index + 1];
+    
+    const blended = new Float32Array(from.length);
+    for (let i = 0; i < from.length; i++) {
+        blended[i] = from[i] + (to[i] - from[i]) * fraction;
+    }
+    return blended;
+}
+
+/**
+ * Convert one cycle into Fourier coefficients for createPeriodicWave()
+ * Pure function (a plain DFT - tables are small, so no FFT needed)
+ * 
+ * PeriodicWave describes a waveform as a sum of harmonics:
+ *   wave(t) = Σ real[k]·cos(k·t) + imag[k]·sin(k·t)
+ * so the browser can play it band-limited (no aliasing) at any pitch.
+ * 
+ * @param {Float32Array} table - One cycle
+ * @param {number} harmonics - Partials to keep
+ * @returns {Object} { real, imag } Float32Arrays (index 0 = DC, always 0)
+ */
+export function wavetableToFourier(table, harmonics = WAVETABLE_HARMONICS) {
+    const size = table.length;
+    const count = Math.min(harmonics, Math.floor(size / 2));
+    const real = new Float32Array(count + 1);
+    const imag = new Float32Array(count + 1);
+    
+    for (let k = 1; k <= count; k++) {
+        let cosSum = 0;
+        let sinSum = 0;
+        for (let n = 0; n < size; n++) {
+            const angle = (2 * Math.PI * k * n) / size;
+            cosSum += table[n] * Math.cos(angle);
+            sinSum += table[n] * Math.sin(angle);
+        }
+        real[k] = (2 / size) * cosSum;
+        imag[k] = (2 / size) * sinSum;
+    }
+    
+    return { real, imag };
+}
@@ -21,17 +21,21 @@
  *    - Data Loading               - Dataset selector, file drop
  *    - Playback Controls          - Play/stop, randomize
  *    - Global Settings            - Volume, pitch, speed
- *    - Mode Switching             - Synth ↔ Sampler
- *    - Sampler Controls           - Sample upload/clear
+ *    - Mode Switching             - Synth ↔ Sampler ↔ Granular ↔ Audification
+ *    - Sampler Controls           - Sample kit upload/remove/clear
+ *    - Effects Rack               - Effect order and bypass
+ *    - Export                     - Offline WAV rendering, MIDI file
+ *    - OSC Output                 - Note events to external apps
  *    - UI Interactions            - Drawers, toggles
  * 6. DATASET LOADING              - JSON/CSV/GeoJSON parsing
  * 7. FILE DROP ZONE               - Drag-and-drop file upload
- * 8. PLAYBACK CONTROL             - Main playback loop
- * 9. AUDIO PARAMETER CALCULATION  - Data → audio mapping pipeline
- * 10. AUDIO PLAYBACK              - Note creation and playback
- * 11. MUSICAL QUANTIZATION        - Pitch and rhythm quantization
- * 12. UI EVENT HANDLERS           - Control handlers and UI updates
- * 13. START APPLICATION           - Entry point
+ * 8. PLAYBACK CONTROL             - Look-ahead scheduled playback loop
+ * 9. OFFLINE EXPORT               - Render one pass to a WAV file (or write it as MIDI)
+ * 10. AUDIO PARAMETER CALCULATION - Data → audio mapping pipeline
+ * 11. AUDIO PLAYBACK              - Note creation and playback
+ * 12. MUSICAL QUANTIZATION        - Pitch and rhythm quantization
+ * 13. UI EVENT HANDLERS           - Control handlers and UI updates
+ * 14. START APPLICATION           - Entry point
  * 
  * ============================================================================
  */
@@ -43,12 +47,45 @@
 import { 
     extractPaths, 
     extractValues,
-    getValueByPath 
+    getValueByPath,
+    getCategories,
+    findCategoricalPaths
 } from './lib/data-processor.js';
 
 import { AudioEngine } from './lib/audio-engine.js';
-import { ParameterMapper } from './lib/parameter-mapper.js';
+import { ParameterMapper, SPATIAL_PARAMS } from './lib/parameter-mapper.js';
 import { PatchViz } from './lib/patch-viz.js';
+import { audioBufferToWAVBlob } from './lib/wav-encoder.js';
+import { MIDI_CC, notesToMidiBlob, valueToCC } from './lib/midi-export.js';
+import { NoteScheduler, runAtRenderTime } from './lib/scheduler.js';
+import { EFFECT_DEFINITIONS, dampingToCutoff } from './lib/effects-rack.js';
+import { GRANULAR_PARAMS, planGrainCloud } from './lib/granular.js';
+import { DEFAULT_TRANSPORT, quantizeToGrid, scaleToTempo, snapToDivision } from './lib/tempo.js';
+import { buildDataWavetables, morphWavetables } from './lib/wavetable.js';
+import { AUDIFICATION_DEFAULTS, buildAudificationSignal, compressionToSampleRate } from './lib/audification.js';
+import { DRONE_PARAMS, DroneVoice } from './lib/drone.js';
+import { OSC_DEFAULTS, OSCBridge } from './lib/osc-bridge.js';
+import { HARMONY_PARAMS, arpeggioOffsets, buildChord, chordTypeFromValue } from './lib/harmony.js';
+import { measureSignal } from './lib/loudness-meter.js';
+import { LFO_SLOTS, lfoAmount, lfoParams } from './lib/lfo.js';
+import { 
+    FILTER2_PARAMS, 
+    FILTER_ENVELOPE_PARAMS, 
+    FILTER_TYPE_PARAMS, 
+    PARALLEL_FILTER_GAIN, 
+    filterTypeFromValue, 
+    planFilterEnvelope 
+} from './lib/filter.js';
+import { 
+    BUILT_IN_SCALES, 
+    NOTE_NAMES, 
+    keyboardMappingRoot, 
+    parseKeyboardMapping, 
+    parseScala, 
+    quantizeToScale, 
+    rootFrequency, 
+    scaleFromSemitones 
+} from './lib/tuning.js';
 
 console.log(`
 ╔═════════════════════════════════════════════════════╗
@@ -80,6 +117,7 @@ console.log('✅ All modules loaded');
 const audioEngine = new AudioEngine();
 const parameterMapper = new ParameterMapper();
 const patchViz = new PatchViz('patchViz');
+const oscBridge = new OSCBridge();
 
 console.log('✅ Module instances created');
 
@@ -89,11 +127,35 @@ console.log('✅ Module instances created');
 
 let parsedData = null;
 let numericPaths = [];
+let categoricalPaths = []; // Text fields with a few repeating values (e.g., "type")
 let isPlaying = false;
-let currentTimeout = null;
+
+// Sound source: 'synthesizer', 'sampler', 'granular' or 'audification'
+// Granular reads the sampler kit too, so samplerMode is on for both sample sources
+// Audification plays one field as a waveform - no notes, so the scheduler isn't used
+let soundSource = 'synthesizer';
+
+// Data wavetable: cycles built from the chosen field (one, or one per window when morphing)
+// The version goes into the engine's wave cache key, so a rebuild never reuses stale waves
+const WAVETABLE_MORPH_WINDOWS = 16;
+const WAVETABLE_MORPH_STEPS = 32; // Morph positions are rounded so notes share cached waves
+let dataWavetables = [];
+let wavetableVersion = 0;
+
+// Scala tuning import: .scl scale (offered as the "scala" scale) and .kbm keyboard
+// mapping (sets the root frequency while loaded, instead of root note + A4)
+let scalaScale = null;
+let keyboardMapping = null;
+
+// Continuous (drone) mode: one sustained voice glides between items instead of new notes
+// Created on the first step of a playback session, faded out on stop
+let droneVoice = null;
+
+// Active look-ahead scheduler (created on first play, once the AudioContext exists)
+let noteScheduler = null;
 
 // Playback ID system prevents race conditions when user rapidly clicks play/stop
-// Each playback session gets a unique ID; loops check if their ID is still current
+// Each playback session gets a unique ID; callbacks check if their ID is still current
 let currentPlaybackId = 0;
 
 // ============================================================================
@@ -117,6 +179,9 @@ function init() {
         console.log('✅ Visualizer started in idle mode');
     }
     
+    // Output meter readings (peak, RMS, LUFS, clips) arrive every 100ms while playing
+    audioEngine.onMeterUpdate = updateMeterDisplay;
+    
     // Auto-load default dataset
     setTimeout(() => {
         const selector = document.getElementById('templateSelector');
@@ -148,6 +213,9 @@ function setupEventListeners() {
         handleRandomDataset();
     });
     document.getElementById('randomizeMappingsBtnHeader').addEventListener('click', handleRandomize);
+    document.getElementById('visualizerMode').addEventListener('change', (e) => {
+        audioEngine.setVisualizerMode(e.target.value);
+    });
     
     // Scramble effect for Audio Parameters header on hover
     const randomizeHeaderBtn = document.getElementById('randomizeMappingsBtnHeader');
@@ -202,15 +270,25 @@ function setupEventListeners() {
     // GLOBAL SETTINGS (Volume, Pitch, Speed)
     // ========================================================================
     document.getElementById('masterVolume').addEventListener('input', handleVolumeChange);
+    document.getElementById('compressorThreshold').addEventListener('input', handleCompressorChange);
+    document.getElementById('compressorRatio').addEventListener('input', handleCompressorChange);
+    document.getElementById('meterResetBtn').addEventListener('click', handleMeterReset);
     document.getElementById('pitchControl').addEventListener('input', handlePitchChange);
-    document.getElementById('speedControl').addEventListener('input', handleSpeedChange);
+    document.getElementById('speedControl').addEventListener('input', updateTempoLabel);
+    document.getElementById('tempoBpm').addEventListener('input', updateTempoLabel);
+    document.getElementById('swingControl').addEventListener('input', handleSwingChange);
+    document.getElementById('pwmLfoRate').addEventListener('input', handlePwmLfoRateChange);
+    document.getElementById('wavetableField').addEventListener('change', rebuildDataWavetables);
+    document.getElementById('wavetableMorph').addEventListener('change', rebuildDataWavetables);
     
     // ========================================================================
-    // MODE SWITCHING (Synthesizer ↔ Sampler)
+    // MODE SWITCHING (Synthesizer ↔ Sampler ↔ Granular ↔ Audification)
     // ========================================================================
     document.querySelectorAll('input[name="soundSource"]').forEach(radio => {
         radio.addEventListener('change', handleModeChange);
     });
+    ['audificationField', 'audificationRateMode', 'audificationRate', 'audificationCompression', 'audificationSecondsPerItem']
+        .forEach(id => document.getElementById(id).addEventListener('input', updateAudificationInfo));
     
     // ========================================================================
     // SAMPLER CONTROLS (Sample loading and management)
@@ -218,6 +296,27 @@ function setupEventListeners() {
     document.getElementById('sampleFileInput').addEventListener('change', handleSampleUpload);
     document.getElementById('clearSampleBtn').addEventListener('click', handleClearSample);
     
+    // ========================================================================
+    // EFFECTS RACK (Order and enable/bypass - list is built from EFFECT_DEFINITIONS)
+    // ========================================================================
+    renderEffectsRackUI();
+    document.getElementById('irFileInput').addEventListener('change', handleImpulseUpload);
+    document.getElementById('delayMode').addEventListener('change', (e) => audioEngine.setDelayMode(e.target.value));
+    document.getElementById('clearIrBtn').addEventListener('click', handleClearImpulse);
+    
+    // ========================================================================
+    // EXPORT (Offline render to WAV)
+    // ========================================================================
+    document.getElementById('exportWavBtn').addEventListener('click', handleExportWav);
+    document.getElementById('exportMidiBtn').addEventListener('click', handleExportMidi);
+    
+    // ========================================================================
+    // OSC OUTPUT (Note events over WebSocket → tools/osc-relay.js → UDP)
+    // ========================================================================
+    document.getElementById('oscUrl').value = OSC_DEFAULTS.url;
+    document.getElementById('oscEnabled').addEventListener('change', handleOSCToggle);
+    oscBridge.onStatusChange = updateOSCStatus;
+    
     // ========================================================================
     // UI INTERACTIONS (Slide-out panels, toggles, show/hide)
     // ========================================================================
@@ -249,7 +348,7 @@ function setupEventListeners() {
         setTimeout(() => {
             if (parsedData && numericPaths && numericPaths.length > 0) {
                 console.log('🔄 Settings panel toggled, redrawing patch visualization');
-                patchViz.render(numericPaths, parameterMapper.mappings, parameterMapper, isPlaying);
+                patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
             }
         }, 400);
     });
@@ -264,6 +363,33 @@ function setupEventListeners() {
         document.getElementById('scaleContainer').style.display = 'block';
     }
     
+    // Tuning: scale, root, reference pitch, scale editor, Scala import
+    ['scaleSelector', 'rootNote', 'referencePitch'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateTuning);
+    });
+    document.getElementById('scalaFileInput').addEventListener('change', handleScalaUpload);
+    document.getElementById('clearScalaBtn').addEventListener('click', handleClearScala);
+    updateTuning();
+    
+    // 3D spatial mode (adds azimuth/elevation/distance params)
+    document.getElementById('spatialMode').addEventListener('change', handleSpatialModeChange);
+    
+    // Continuous (drone) mode (adds glide time and drone level params)
+    document.getElementById('droneMode').addEventListener('change', handleDroneModeChange);
+    
+    // Chord / arpeggio mode (adds chord type and spread params)
+    document.getElementById('harmonyMode').addEventListener('change', handleHarmonyModeChange);
+    
+    // LFOs (each adds its own rate and depth params while on)
+    LFO_SLOTS.forEach(slotId => {
+        document.getElementById(`${slotId}Mode`).addEventListener('change', (e) => handleLfoModeChange(slotId, e));
+    });
+    
+    // Filter options (type from data, filter envelope, second filter - each adds its params)
+    ['filterTypeFromData', 'filterEnvelope', 'filter2Routing'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleFilterOptionsChange);
+    });
+    
     // ========================================================================
     // WINDOW RESIZE (Responsive D3 visualization)
     // ========================================================================
@@ -276,7 +402,7 @@ function setupEventListeners() {
             // Re-render D3 visualization if data is loaded
             if (numericPaths.length > 0) {
                 console.log('↔️ Window resized, re-rendering patch visualization');
-                patchViz.render(numericPaths, parameterMapper.mappings, parameterMapper, isPlaying);
+                patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
             }
         }, 250); // 250ms debounce
     });
@@ -347,6 +473,15 @@ async function handleDatasetSelection(e) {
     }
 }
 
+/**
+ * Data fields shown in the patch view
+ * Numeric fields first, then categorical ones (only connectable by hand -
+ * smart mapping and randomize stick to numbers)
+ */
+function getMappablePaths() {
+    return [...numericPaths, ...categoricalPaths];
+}
+
 function parseCSV(text) {
     const parsed = d3.csvParse(text, d3.autoType);
     console.log(`Parsed ${parsed.length} rows from CSV`);
@@ -361,8 +496,9 @@ function processData(data) {
     // Extract numeric paths
     const allPaths = extractPaths(data);
     numericPaths = allPaths.filter(p => p.type === 'number');
+    categoricalPaths = findCategoricalPaths(data, allPaths);
     
-    console.log(`Detected ${numericPaths.length} numeric paths`);
+    console.log(`Detected ${numericPaths.length} numeric paths, ${categoricalPaths.length} categorical`);
     console.log('Sample paths:', numericPaths.slice(0, 5).map(p => p.path));
     
     if (numericPaths.length === 0) {
@@ -376,8 +512,13 @@ function processData(data) {
     
     console.log('✅ Smart mapping applied');
     
+    // Offer the numeric fields as wavetable and audification sources
+    updateWavetableFieldOptions();
+    fillNumericFieldSelect(document.getElementById('audificationField'));
+    updateAudificationInfo();
+    
     // Render patch visualization
-    patchViz.render(numericPaths, parameterMapper.mappings, parameterMapper, isPlaying);
+    patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
     
     // Show first item in visualization to avoid null data state
     const itemsArray = Array.isArray(parsedData) ? parsedData : [parsedData];
@@ -460,11 +601,12 @@ function setupFileDropZone() {
 
 // ============================================================================
 // PLAYBACK CONTROL
-// Main playback loop with race condition protection
-// Loops through data items, calculates audio params, plays notes
+// Look-ahead playback loop with race condition protection
+// Notes are queued slightly ahead on the audio clock (see lib/scheduler.js),
+// UI updates follow the audio instead of driving it
 // ============================================================================
 
-async function handlePlay() {
+function handlePlay() {
     if (!parsedData) {
         alert('Please load data first');
         return;
@@ -499,6 +641,12 @@ async function handlePlay() {
         audioEngine.initEffects();
     }
     
+    // Sync master bus with the settings panel
+    applyMasterSettings(audioEngine);
+    
+    // Measure this playback from the start (integrated loudness, clips)
+    audioEngine.startMeter();
+    
     // Ensure visualizer is set up
     if (!audioEngine.analyser) {
         audioEngine.setupVisualizer(document.getElementById('audioVisualizer'));
@@ -512,6 +660,12 @@ async function handlePlay() {
     
     const itemsArray = Array.isArray(parsedData) ? parsedData : [parsedData];
     
+    // Audification plays the whole field as one buffer instead of notes
+    if (soundSource === 'audification') {
+        startAudificationPlayback(itemsArray, thisPlaybackId);
+        return;
+    }
+    
     // Calculate data ranges for scaling
     const dataRanges = calculateDataRanges(itemsArray, parameterMapper.mappings);
     
@@ -519,69 +673,84 @@ async function handlePlay() {
     console.log('Items:', itemsArray.length);
     console.log('Active mappings:', Object.values(parameterMapper.mappings).filter(m => m.path).length);
     
-    // Playback loop
-    // Exit if another playback session started (thisPlaybackId !== currentPlaybackId)
-    while (isPlaying && thisPlaybackId === currentPlaybackId) {
-        for (let i = 0; i < itemsArray.length && isPlaying && thisPlaybackId === currentPlaybackId; i++) {
-            const item = itemsArray[i];
+    // The scheduler is tied to the audio clock, so it's created once the context exists
+    if (!noteScheduler || noteScheduler.audioContext !== audioEngine.audioContext) {
+        noteScheduler = new NoteScheduler(audioEngine.audioContext);
+    }
+    
+    // Position on the rhythm grid (swing depends on which step a note starts on)
+    const rhythm = { gridStep: 0 };
+    
+    // Playback loop: step N plays item N % length, so the data loops until stopped
+    noteScheduler.start({
+        // Runs ~100ms BEFORE the note is heard - starts the audio at the exact time
+        scheduleStep: (step, time) => {
+            const index = step % itemsArray.length;
+            const item = itemsArray[index];
             
             // Calculate audio parameters from data
             const audioParams = calculateAudioParams(item, parameterMapper.mappings, dataRanges);
+            audioParams.dataPosition = itemsArray.length > 1 ? index / (itemsArray.length - 1) : 0;
             
-            // Update visualization
-            patchViz.updateNodeValues(item, audioParams, parameterMapper.mappings, isPlaying);
-            
-            // Play note
-            await playNote(audioParams);
-            
-            // Update item counter
-            document.getElementById('itemCounter').innerHTML = `<span class="b">${i + 1}</span>/${itemsArray.length}`;
+            // Time until next note (arpeggios spread across it)
+            const delay = getNoteDelay(audioParams, rhythm);
             
-            // Wait for next note
-            const noteSpacing = audioParams.noteSpacing || 300;
-            const speed = parseFloat(document.getElementById('speedControl').value) || 1;
-            const actualDelay = noteSpacing / speed;
+            // Play note at its scheduled time (or a chord, or glide the drone there)
+            // With "Mute internal sound" the notes only go out as OSC
+            if (!isOSCMuted()) {
+                if (isDroneMode()) {
+                    droneVoice = playDroneStep(audioParams, audioEngine, time, droneVoice);
+                } else if (isHarmonyMode()) {
+                    playChord(audioParams, audioEngine, time, delay);
+                } else {
+                    playNote(audioParams, audioEngine, time);
+                }
+            }
+            sendOSCNote(audioParams, index, time, thisPlaybackId);
             
-            // Apply rhythmic quantization if enabled
-            const finalDelay = document.getElementById('rhythmicQuantization').checked ?
-                quantizeRhythm(actualDelay) : actualDelay;
+            return {
+                delay,
+                data: { item, audioParams, index }
+            };
+        },
+        
+        // Runs on the animation frame where the note is actually heard
+        onStep: (step, { item, audioParams, index }) => {
+            // Ignore late callbacks from a superseded session
+            if (thisPlaybackId !== currentPlaybackId) return;
             
-            await new Promise(resolve => {
-                currentTimeout = setTimeout(resolve, finalDelay);
+            // Update visualization
+            patchViz.updateNodeValues(item, audioParams, parameterMapper.mappings, isPlaying);
+            audioEngine.setMeterItem(index);
+            audioEngine.setVisualizerMarkers({
+                frequency: soundSource === 'synthesizer' ? getPlayedFrequency(audioParams) : null,
+                filterFreq: audioParams.filterFreq
             });
             
-            // Double-check we're still the current playback session
-            if (thisPlaybackId !== currentPlaybackId) {
-                console.log(`⏹ Playback session #${thisPlaybackId} superseded, exiting gracefully`);
-                return; // Another playback started, exit this loop
-            }
+            // Update item counter
+            document.getElementById('itemCounter').innerHTML = `<span class="b">${index + 1}</span>/${itemsArray.length}`;
         }
-    }
-    
-    // Playback ended naturally (not stopped by user)
-    // Only update UI if we're still the current playback session
-    if (thisPlaybackId === currentPlaybackId) {
-        isPlaying = false;
-        // Switch back to play icon
-        document.getElementById('playIcon').style.display = 'block';
-        document.getElementById('stopIcon').style.display = 'none';
-        document.getElementById('playDataBtn').classList.remove('playing');
-        audioEngine.stopVisualizer();
-        patchViz.clearNodeValues();
-        console.log(`✅ Playback session #${thisPlaybackId} completed`);
-    }
+    });
 }
 
 function stopPlayback() {
     // Invalidate current playback session
-    // Any running loops will check their ID and exit gracefully
+    // Any pending UI callbacks will check their ID and skip
     currentPlaybackId++;
     isPlaying = false;
     audioEngine.previousDelayTime = null;
     
-    if (currentTimeout) clearTimeout(currentTimeout);
+    // Stop queueing notes (the few already scheduled will finish naturally)
+    if (noteScheduler) noteScheduler.stop();
+    audioEngine.stopAudification();
+    if (droneVoice) {
+        droneVoice.stop(audioEngine.audioContext.currentTime);
+        droneVoice = null;
+    }
     
     audioEngine.stopVisualizer();
+    audioEngine.stopMeter();
+    audioEngine.stopGlobalLfos();
     
     // Switch back to play icon
     document.getElementById('playIcon').style.display = 'block';
@@ -596,6 +765,7 @@ function stopPlayback() {
     const itemsArray = Array.isArray(parsedData) ? parsedData : [parsedData];
     if (itemsArray.length > 0) {
         const firstItem = itemsArray[0];
+        const dataRanges = calculateDataRanges(itemsArray, parameterMapper.mappings);
         const firstAudioParams = calculateAudioParams(firstItem, parameterMapper.mappings, dataRanges);
         patchViz.updateNodeValues(firstItem, firstAudioParams, parameterMapper.mappings, false);
     }
@@ -603,6 +773,443 @@ function stopPlayback() {
     console.log(`⏹ Playback stopped, invalidated session (now at #${currentPlaybackId})`);
 }
 
+/**
+ * Play the selected field as a waveform (audification sound source)
+ * 
+ * The item counter follows the playhead, so you can tell which part of the
+ * data a click or tone comes from. Without looping, playback stops at the end.
+ * 
+ * @param {Array} itemsArray - Dataset items
+ * @param {number} thisPlaybackId - Session ID (stale callbacks are ignored)
+ */
+function startAudificationPlayback(itemsArray, thisPlaybackId) {
+    const { signal, rate, loop } = getAudificationSignal();
+    const buffer = audioEngine.createAudificationBuffer(signal, rate);
+    
+    if (!buffer) {
+        console.warn('⚠️ Nothing to audify - pick a numeric field and a rate above 0');
+        stopPlayback();
+        return;
+    }
+    
+    const startTime = audioEngine.audioContext.currentTime;
+    const source = audioEngine.startAudification(buffer, { loop, startTime });
+    source.onended = () => {
+        if (thisPlaybackId === currentPlaybackId) stopPlayback();
+    };
+    
+    console.log(`〰️ Audifying ${signal.length} values at ${Math.round(rate)} samples/s (${buffer.duration.toFixed(2)}s${loop ? ', looping' : ''})`);
+    
+    // Item counter follows the playhead
+    const updateCounter = () => {
+        if (thisPlaybackId !== currentPlaybackId) return;
+        
+        const elapsed = (audioEngine.audioContext.currentTime - startTime) % buffer.duration;
+        const index = Math.min(itemsArray.length - 1, Math.floor(elapsed * rate));
+        audioEngine.setMeterItem(index);
+        document.getElementById('itemCounter').innerHTML = `<span class="b">${index + 1}</span>/${itemsArray.length}`;
+        requestAnimationFrame(updateCounter);
+    };
+    requestAnimationFrame(updateCounter);
+}
+
+/**
+ * Read the audification settings and build the signal
+ * 
+ * @returns {Object} { signal, rate, loop } - Signal in -1..1, data samples per second
+ */
+function getAudificationSignal() {
+    const path = document.getElementById('audificationField').value;
+    const values = parsedData && path ? extractValues(parsedData, path) : [];
+    const signal = buildAudificationSignal(values, {
+        removeDC: document.getElementById('audificationRemoveDC').checked
+    });
+    
+    return {
+        signal,
+        rate: getAudificationRate(),
+        loop: document.getElementById('audificationLoop').checked
+    };
+}
+
+/**
+ * Playback rate in data samples per second
+ * Either set directly, or from a time-compression factor and the real time between items
+ */
+function getAudificationRate() {
+    if (document.getElementById('audificationRateMode').value === 'compression') {
+        const compression = parseFloat(document.getElementById('audificationCompression').value) || AUDIFICATION_DEFAULTS.compression;
+        const secondsPerItem = parseFloat(document.getElementById('audificationSecondsPerItem').value) || AUDIFICATION_DEFAULTS.secondsPerItem;
+        return compressionToSampleRate(compression, secondsPerItem);
+    }
+    return parseFloat(document.getElementById('audificationRate').value) || AUDIFICATION_DEFAULTS.sampleRate;
+}
+
+/**
+ * Send one note to the OSC output when it's heard
+ * 
+ * Steps are scheduled ~100ms early, so the send waits for the note's audio
+ * time - external visuals land on the beat. Every note is sent (the UI's
+ * onStep callback skips notes when they come faster than the screen refreshes).
+ * 
+ * @param {Object} audioParams - Result of calculateAudioParams()
+ * @param {number} index - Item index
+ * @param {number} time - Context time the note plays
+ * @param {number} thisPlaybackId - Session ID (notes of a stopped session aren't sent)
+ */
+function sendOSCNote(audioParams, index, time, thisPlaybackId) {
+    if (!oscBridge.connected) return;
+    
+    const message = {
+        ...audioParams,
+        duration: getNoteDuration(audioParams),
+        frequency: parameterMapper.samplerMode ? audioParams.frequency : getPlayedFrequency(audioParams)
+    };
+    const delay = Math.max(0, (time - audioEngine.audioContext.currentTime) * 1000);
+    
+    setTimeout(() => {
+        if (thisPlaybackId === currentPlaybackId) oscBridge.sendNote(message, { index });
+    }, delay);
+}
+
+/**
+ * Whether notes should only go out as OSC (needs a live connection,
+ * so a dropped relay never leaves you with silence)
+ */
+function isOSCMuted() {
+    return oscBridge.connected && document.getElementById('oscMute').checked;
+}
+
+/**
+ * Time to wait before the next note (milliseconds)
+ * noteSpacing is stretched to the transport tempo (speed included) and, if
+ * enabled, snapped to the transport grid with swing.
+ * Shared by live playback and offline export so both produce the same rhythm.
+ * 
+ * @param {Object} audioParams - Result of calculateAudioParams()
+ * @param {Object} rhythm - { gridStep } grid position, advanced by quantized notes
+ */
+function getNoteDelay(audioParams, rhythm = { gridStep: 0 }) {
+    const transport = getTransport();
+    const spacing = scaleToTempo(audioParams.noteSpacing || 300, transport.bpm);
+    
+    // Apply rhythmic quantization if enabled
+    return document.getElementById('rhythmicQuantization').checked ?
+        quantizeRhythm(spacing, transport, rhythm) : spacing;
+}
+
+/**
+ * How long a note sounds (milliseconds) - duration stretched to the transport tempo,
+ * so notes keep the same length relative to their spacing at any BPM
+ */
+function getNoteDuration(audioParams) {
+    return scaleToTempo(audioParams.duration || 200, getTransport().bpm);
+}
+
+// ============================================================================
+// OFFLINE EXPORT
+// Render one pass over the data through the same per-note chain as playback,
+// but into an OfflineAudioContext (faster than real time, no speakers)
+// ============================================================================
+
+const EXPORT_SAMPLE_RATE = 44100;
+const EXPORT_MAX_TAIL = 10;         // Seconds of reverb/delay tail to keep after the last note
+const EXPORT_WARN_DURATION = 600;   // Ask before rendering more than 10 minutes
+const EXPORT_SCHEDULE_WINDOW = 0.5; // Seconds of notes scheduled per render pause
+
+/**
+ * Walk the data once and compute when each note starts
+ * 
+ * Also estimates how long the effects keep ringing after each note so the
+ * export doesn't cut off reverb tails and delay repeats.
+ * 
+ * @returns {Object} { notes: [{ time, audioParams, delay }], totalDuration } (seconds, delay in ms)
+ */
+function buildNoteSchedule(itemsArray) {
+    const dataRanges = calculateDataRanges(itemsArray, parameterMapper.mappings);
+    const notes = [];
+    const rhythm = { gridStep: 0 };
+    let time = 0;
+    let totalDuration = 0;
+    
+    itemsArray.forEach((item, index) => {
+        const audioParams = calculateAudioParams(item, parameterMapper.mappings, dataRanges);
+        audioParams.dataPosition = itemsArray.length > 1 ? index / (itemsArray.length - 1) : 0;
+        const delay = getNoteDelay(audioParams, rhythm);
+        notes.push({ time, audioParams, delay });
+        
+        // Delay repeats fall by 60dB after log(0.001) / log(feedback) echoes
+        const delayTime = (audioParams.delayTime || 200) / 1000;
+        const feedback = Math.max(0.01, Math.min(0.9, audioParams.delayFeedback ?? 0.3));
+        const delayRing = delayTime * Math.log(0.001) / Math.log(feedback);
+        const tail = Math.min(EXPORT_MAX_TAIL, (audioParams.reverbDecay || 2) + delayRing);
+        
+        // Arpeggio tones start up to one spacing later
+        const arpeggio = isHarmonyMode() ? delay / 1000 : 0;
+        const noteEnd = time + arpeggio + getNoteDuration(audioParams) / 1000 + tail;
+        totalDuration = Math.max(totalDuration, noteEnd);
+        
+        time += delay / 1000;
+    });
+    
+    return { notes, totalDuration };
+}
+
+/**
+ * Export schedule for the audification source: no notes, one pass of the buffer
+ * (looping is a live-only option) plus the reverb tail
+ */
+function buildAudificationSchedule() {
+    const { signal, rate } = getAudificationSignal();
+    const duration = rate > 0 ? Math.min(AUDIFICATION_DEFAULTS.maxDuration, signal.length / rate) : 0;
+    
+    return {
+        notes: [],
+        audification: { signal, rate },
+        totalDuration: duration + Math.min(EXPORT_MAX_TAIL, audioEngine.reverbDecay || 2)
+    };
+}
+
+/**
+ * Render a note schedule into an AudioBuffer
+ * 
+ * How it works:
+ * - A second AudioEngine is built around an OfflineAudioContext, so the
+ *   effects chain and every note go through exactly the same code as live playback
+ * - Rendering pauses (suspend) at the start of each window, schedules the notes
+ *   that begin inside it, then resumes. This mirrors live playback, where
+ *   effects state (e.g. reverb impulse) changes as notes arrive.
+ * 
+ * @param {Object} schedule - Result of buildNoteSchedule()
+ * @returns {Promise<AudioBuffer>} Rendered stereo audio
+ */
+async function renderOffline(schedule) {
+    const sampleRate = audioEngine.audioContext?.sampleRate || EXPORT_SAMPLE_RATE;
+    const length = Math.ceil(schedule.totalDuration * sampleRate);
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const offlineContext = new OfflineContext(2, length, sampleRate);
+    
+    // Build a twin engine inside the offline context
+    const offlineEngine = new AudioEngine();
+    offlineEngine.samplerMode = audioEngine.samplerMode;
+    offlineEngine.sampleKit = audioEngine.sampleKit; // AudioBuffers can be shared between contexts
+    applyMasterSettings(offlineEngine); // Before initEffects so the bus is built with them
+    offlineEngine.impulseCache = audioEngine.impulseCache; // Keyed by sample rate - safe to share
+    offlineEngine.customImpulse = audioEngine.customImpulse;
+    offlineEngine.delaySettings = { ...audioEngine.delaySettings };
+    offlineEngine.effectsConfig = {
+        order: [...audioEngine.effectsConfig.order],
+        enabled: { ...audioEngine.effectsConfig.enabled }
+    };
+    offlineEngine.initEffects(offlineContext);
+    
+    // Suspend times are quantized to 128-frame render blocks,
+    // so align the window to block boundaries to keep note times exact
+    const blockSize = 128;
+    const windowFrames = blockSize * Math.max(1, Math.round(EXPORT_SCHEDULE_WINDOW * sampleRate / blockSize));
+    const windowSeconds = windowFrames / sampleRate;
+    
+    // Continuous mode: the offline engine gets its own drone, stopped after the last item
+    const drone = isDroneMode();
+    const lastNote = schedule.notes[schedule.notes.length - 1];
+    let offlineDrone = null;
+    
+    const scheduleWindow = (windowIndex) => {
+        const windowStart = windowIndex * windowSeconds;
+        const windowEnd = windowStart + windowSeconds;
+        schedule.notes
+            .filter(note => note.time >= windowStart && note.time < windowEnd)
+            .forEach(note => {
+                if (!drone) {
+                    if (isHarmonyMode()) {
+                        playChord(note.audioParams, offlineEngine, note.time, note.delay);
+                    } else {
+                        playNote(note.audioParams, offlineEngine, note.time);
+                    }
+                    return;
+                }
+                offlineDrone = playDroneStep(note.audioParams, offlineEngine, note.time, offlineDrone);
+                if (note === lastNote) {
+                    offlineDrone.stop(note.time + note.delay / 1000);
+                }
+            });
+    };
+    
+    // First window is scheduled before rendering starts, the rest on suspend
+    scheduleWindow(0);
+    if (schedule.audification) {
+        const { signal, rate } = schedule.audification;
+        const buffer = offlineEngine.createAudificationBuffer(signal, rate);
+        if (buffer) offlineEngine.startAudification(buffer, { startTime: 0 });
+    }
+    const windowCount = Math.ceil(schedule.totalDuration / windowSeconds);
+    for (let w = 1; w < windowCount; w++) {
+        if (w * windowFrames >= length) break;
+        runAtRenderTime(offlineContext, w * windowSeconds, () => scheduleWindow(w));
+    }
+    
+    console.log(`🎚️ Rendering ${schedule.notes.length} notes offline (${schedule.totalDuration.toFixed(1)}s at ${sampleRate}Hz)`);
+    return offlineContext.startRendering();
+}
+
+async function handleExportWav() {
+    if (!parsedData) {
+        alert('Please load data first');
+        return;
+    }
+    
+    const exportBtn = document.getElementById('exportWavBtn');
+    const exportStatus = document.getElementById('exportStatus');
+    const bitDepth = parseInt(document.getElementById('exportBitDepth').value, 10) || 16;
+    
+    const itemsArray = Array.isArray(parsedData) ? parsedData : [parsedData];
+    const schedule = soundSource === 'audification' ? buildAudificationSchedule() : buildNoteSchedule(itemsArray);
+    
+    // An empty render would fail inside OfflineAudioContext with a cryptic error
+    if (soundSource !== 'audification' && schedule.notes.length === 0) {
+        exportStatus.textContent = '✗ Nothing to export - the data has no items';
+        exportStatus.style.color = '#cc0000';
+        return;
+    }
+    
+    if (schedule.totalDuration > EXPORT_WARN_DURATION) {
+        const minutes = (schedule.totalDuration / 60).toFixed(1);
+        if (!confirm(`This export is ${minutes} minutes long and may take a while. Continue?`)) {
+            return;
+        }
+    }
+    
+    exportBtn.disabled = true;
+    exportStatus.textContent = 'Rendering...';
+    exportStatus.style.color = '#666';
+    
+    try {
+        const renderedBuffer = await renderOffline(schedule);
+        const blob = audioBufferToWAVBlob(renderedBuffer, bitDepth);
+        const fileName = `${getExportBaseName()}-${bitDepth}bit.wav`;
+        downloadBlob(blob, fileName);
+        
+        // Loudness check of exactly what was written (clips name the item playing)
+        const readings = measureSignal(
+            renderedBuffer.getChannelData(0),
+            renderedBuffer.getChannelData(renderedBuffer.numberOfChannels > 1 ? 1 : 0),
+            renderedBuffer.sampleRate,
+            schedule.notes.map(note => note.time)
+        );
+        
+        exportStatus.textContent = `✓ ${renderedBuffer.duration.toFixed(1)}s, ${bitDepth}-bit WAV · ${formatDb(readings.integrated)} LUFS, peak ${formatDb(readings.maxPeakDb)} dBFS`;
+        if (readings.clipCount > 0) {
+            exportStatus.textContent += ` · ⚠️ ${readings.clipCount} clips (${formatClipItems(readings.clips)})`;
+            exportStatus.style.color = '#cc0000';
+        }
+        console.log(`✅ Exported ${fileName} (${(blob.size / 1024 / 1024).toFixed(1)} MB)`);
+        console.log('📏 Export loudness:', readings);
+    } catch (error) {
+        console.error('❌ Export failed:', error);
+        exportStatus.textContent = `✗ Error: ${error.message}`;
+        exportStatus.style.color = '#cc0000';
+    } finally {
+        exportBtn.disabled = false;
+    }
+}
+
+// Sampler playback rate 1 (the sample's own pitch) is written as middle C (C4)
+const MIDDLE_C = 261.63;
+
+/**
+ * Write one pass over the data as a Standard MIDI File
+ * 
+ * Uses the same schedule as the WAV export, so quantized rhythm (and speed)
+ * carry over; synth frequencies go through transpose + pitch quantization
+ * like the audio does. Sampler pitch becomes a note around middle C (rate 1 = C4),
+ * sampleOffset a CC lane.
+ */
+function handleExportMidi() {
+    if (!parsedData) {
+        alert('Please load data first');
+        return;
+    }
+    if (soundSource === 'audification') {
+        alert('Audification has no notes to export - use Export WAV');
+        return;
+    }
+    
+    const exportStatus = document.getElementById('exportStatus');
+    const itemsArray = Array.isArray(parsedData) ? parsedData : [parsedData];
+    
+    try {
+        const { notes } = buildNoteSchedule(itemsArray);
+        const { bpm, beatsPerBar, beatUnit } = getTransport();
+        
+        // Chords and arpeggios are written as their separate tones
+        const midiNotes = notes.flatMap(({ time, audioParams, delay }) => (isHarmonyMode() ?
+            getChordVoices(audioParams, delay).map(voice => toMidiNote(audioParams, time + voice.offset, voice.frequency)) :
+            [toMidiNote(audioParams, time)]));
+        const blob = notesToMidiBlob(midiNotes, { bpm, timeSignature: [beatsPerBar, beatUnit], name: getExportBaseName() });
+        const fileName = `${getExportBaseName()}.mid`;
+        downloadBlob(blob, fileName);
+        
+        exportStatus.textContent = `✓ ${midiNotes.length} notes, MIDI at ${bpm} BPM`;
+        exportStatus.style.color = '#666';
+        console.log(`✅ Exported ${fileName} (${midiNotes.length} notes)`);
+    } catch (error) {
+        console.error('❌ MIDI export failed:', error);
+        exportStatus.textContent = `✗ Error: ${error.message}`;
+        exportStatus.style.color = '#cc0000';
+    }
+}
+
+/**
+ * One scheduled note → MIDI note (see buildMidiTracks in lib/midi-export.js)
+ * 
+ * @param {Object} audioParams - Result of calculateAudioParams()
+ * @param {number} time - Note start in seconds
+ * @param {number} chordTone - Frequency of a chord tone (synth only, replaces the played frequency)
+ * @returns {Object} { time, duration, frequency, cc }
+ */
+function toMidiNote(audioParams, time, chordTone = null) {
+    const cc = {
+        [MIDI_CC.pan]: valueToCC(audioParams.pan || 0, -1, 1),
+        [MIDI_CC.filterFreq]: valueToCC(audioParams.filterFreq || 2000, 20, 20000, true)
+    };
+    
+    let frequency;
+    if (parameterMapper.samplerMode) {
+        const pitchTranspose = parseFloat(document.getElementById('pitchControl').value) || 0;
+        frequency = MIDDLE_C * (audioParams.pitch ?? 1) * Math.pow(2, pitchTranspose / 12);
+        cc[MIDI_CC.sampleOffset] = valueToCC(audioParams.sampleOffset || 0, 0, 1);
+    } else {
+        frequency = chordTone ?? getPlayedFrequency(audioParams);
+    }
+    
+    return {
+        time,
+        duration: getNoteDuration(audioParams) / 1000,
+        frequency,
+        cc
+    };
+}
+
+/**
+ * File name for exports, taken from the selected dataset (e.g., "all_day")
+ */
+function getExportBaseName() {
+    return (document.getElementById('templateSelector').value.split('/').pop() || 'datasynth')
+        .replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Trigger a download via a temporary object URL
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ============================================================================
 // AUDIO PARAMETER CALCULATION
 // Extract data values, normalize, apply curves, scale to audio ranges
@@ -614,7 +1221,8 @@ function calculateDataRanges(itemsArray, mappings) {
     
     Object.entries(mappings).forEach(([param, mapping]) => {
         if (mapping && mapping.path) {
-            const values = extractValues(itemsArray, mapping.path)
+            const rawValues = extractValues(itemsArray, mapping.path);
+            const values = rawValues
                 .map(v => parseFloat(v))
                 .filter(v => !isNaN(v));
             
@@ -623,6 +1231,9 @@ function calculateDataRanges(itemsArray, mappings) {
                     min: Math.min(...values),
                     max: Math.max(...values)
                 };
+            } else if (rawValues.length > 0) {
+                // Text field (e.g., "type") - remember its categories instead of a range
+                dataRanges[param] = { categories: getCategories(rawValues) };
             }
         }
     });
@@ -639,17 +1250,28 @@ function calculateAudioParams(item, mappings, dataRanges) {
         if (!mapping) return null;
         
         if (mapping.path && dataRanges[paramName]) {
-            const rawValue = parseFloat(getValueByPath(item, mapping.path));
-            if (isNaN(rawValue)) return mapping.fixed;
-            
-            // Scale from data range to audio parameter range
-            const dataMin = dataRanges[paramName].min;
-            const dataMax = dataRanges[paramName].max;
+            let normalized;
+            const categories = dataRanges[paramName].categories;
             
-            if (dataMax === dataMin) return mapping.min;
-            
-            let normalized = (rawValue - dataMin) / (dataMax - dataMin);
-            normalized = Math.max(0, Math.min(1, normalized));
+            if (categories) {
+                // Categorical: spread categories evenly over 0-1 (alphabetical order)
+                const index = categories.indexOf(String(getValueByPath(item, mapping.path)));
+                if (index === -1) return mapping.fixed;
+                if (categories.length === 1) return mapping.min;
+                normalized = index / (categories.length - 1);
+            } else {
+                const rawValue = parseFloat(getValueByPath(item, mapping.path));
+                if (isNaN(rawValue)) return mapping.fixed;
+                
+                // Scale from data range to audio parameter range
+                const dataMin = dataRanges[paramName].min;
+                const dataMax = dataRanges[paramName].max;
+                
+                if (dataMax === dataMin) return mapping.min;
+                
+                normalized = (rawValue - dataMin) / (dataMax - dataMin);
+                normalized = Math.max(0, Math.min(1, normalized));
+            }
             
             // Apply curve transformation
             let curved = normalized;
@@ -682,8 +1304,14 @@ function calculateAudioParams(item, mappings, dataRanges) {
     if (parameterMapper.samplerMode) {
         audioParams.pitch = getParamValue('pitch');
         audioParams.sampleOffset = getParamValue('sampleOffset');
+        audioParams.sampleIndex = getParamValue('sampleIndex');
     } else {
         audioParams.frequency = getParamValue('frequency');
+        audioParams.harmonics = getParamValue('harmonics');
+        audioParams.brightness = getParamValue('brightness');
+        audioParams.pulseWidth = getParamValue('pulseWidth');
+        audioParams.fmRatio = getParamValue('fmRatio');
+        audioParams.fmIndex = getParamValue('fmIndex');
     }
     
     audioParams.duration = getParamValue('duration');
@@ -694,149 +1322,490 @@ function calculateAudioParams(item, mappings, dataRanges) {
     audioParams.delayTime = getParamValue('delayTime');
     audioParams.delayFeedback = getParamValue('delayFeedback');
     audioParams.delayMix = getParamValue('delayMix');
+    audioParams.delayDamping = getParamValue('delayDamping');
     audioParams.reverbDecay = getParamValue('reverbDecay');
     audioParams.reverbMix = getParamValue('reverbMix');
     audioParams.attack = getParamValue('attack');
+    audioParams.decay = getParamValue('decay');
+    audioParams.sustain = getParamValue('sustain');
     audioParams.release = getParamValue('release');
     
+    // Optional params (e.g., enabled effects) registered at runtime
+    parameterMapper.getGroupParams().forEach(param => {
+        audioParams[param.id] = getParamValue(param.id);
+    });
+    
     return audioParams;
 }
 
 // ============================================================================
 // AUDIO PLAYBACK
 // Create and play notes using AudioEngine
-// Per-note chain: source → filter → panner → envelope → effects → speakers
+// Per-note chain: source → filter(s) → panner → envelope → effects → speakers
 // ============================================================================
 
-async function playNote(audioParams) {
-    const volume = parseFloat(document.getElementById('masterVolume').value) || 0.2;
-    const duration = audioParams.duration || 200;
+// Envelope peak for every note - overall loudness is set on the master bus
+// (AudioEngine.setMasterVolume), so volume changes also reach effect tails
+const NOTE_PEAK = 1;
+
+/**
+ * Play one note through the per-note chain
+ * 
+ * @param {Object} audioParams - Result of calculateAudioParams()
+ * @param {AudioEngine} engine - Live engine (default) or offline export engine
+ * @param {number} startTime - When to start, in the engine's context time (default: now)
+ * @param {Object} voice - Chord tone overrides: { frequency (final Hz), level (peak multiplier) }
+ */
+async function playNote(audioParams, engine = audioEngine, startTime = engine.audioContext.currentTime, voice = {}) {
+    const ctx = engine.audioContext;
+    const duration = getNoteDuration(audioParams);
     const pan = audioParams.pan || 0;
-    const filterFreq = audioParams.filterFreq || 2000;
-    const filterQ = audioParams.filterQ || 1;
     const attack = audioParams.attack || 10;
+    const decay = audioParams.decay || 100;
+    const sustain = audioParams.sustain ?? 1; // 0 is valid (percussive)
     const release = audioParams.release || 100;
     
-    // Update delay parameters
-    updateDelayParameters(audioParams);
-    
-    // Update reverb parameters
-    updateReverbParameters(audioParams);
+    // Update delay, reverb and insert effects
+    updateEffectParameters(audioParams, engine, startTime);
     
     // Create audio nodes
-    const filter = audioEngine.audioContext.createBiquadFilter();
-    const panner = audioEngine.audioContext.createStereoPanner();
-    const envelope = audioEngine.audioContext.createGain();
+    // Spatial mode swaps the stereo panner for a 3D HRTF panner (same place in the chain)
+    const spatial = document.getElementById('spatialMode').checked;
+    const filterSection = createFilterSection(audioParams, engine, startTime);
+    const panner = spatial ?
+        engine.createSpatialPanner(audioParams.azimuth ?? 0, audioParams.elevation ?? 0, audioParams.distance ?? 2, startTime) :
+        ctx.createStereoPanner();
     
     let source;
     
-    if (parameterMapper.samplerMode && audioEngine.sampleBuffer) {
+    // Sampler kit: sampleIndex picks which loaded sample this note plays
+    const sampleBuffer = parameterMapper.samplerMode ? engine.getKitBuffer(audioParams.sampleIndex ?? 0) : null;
+    
+    if (sampleBuffer && soundSource === 'granular') {
+        // GRANULAR MODE: a cloud of short grains around sampleOffset
+        const pitchRate = audioParams.pitch ?? 1;
+        const pitchTranspose = parseFloat(document.getElementById('pitchControl').value) || 0;
+        
+        const grains = planGrainCloud({
+            duration: duration / 1000,
+            bufferDuration: sampleBuffer.duration,
+            position: audioParams.sampleOffset || 0,
+            grainSize: audioParams.grainSize ?? 80,
+            density: audioParams.grainDensity ?? 30,
+            jitter: audioParams.positionJitter ?? 0.05,
+            pitchSpread: audioParams.pitchSpread ?? 0,
+            rate: pitchRate * Math.pow(2, pitchTranspose / 12)
+        });
+        source = engine.createGrainCloud(sampleBuffer, grains, startTime);
+        
+    } else if (sampleBuffer) {
         // SAMPLER MODE
-        source = audioEngine.audioContext.createBufferSource();
-        source.buffer = audioEngine.sampleBuffer;
+        source = ctx.createBufferSource();
+        source.buffer = sampleBuffer;
         
         const pitchRate = audioParams.pitch !== null && audioParams.pitch !== undefined ? audioParams.pitch : 1;
         const pitchTranspose = parseFloat(document.getElementById('pitchControl').value) || 0;
         const transposeSemitones = Math.pow(2, pitchTranspose / 12);
         source.playbackRate.value = pitchRate * transposeSemitones;
         
-        const sampleOffset = (audioParams.sampleOffset || 0) * audioEngine.sampleBuffer.duration;
+        const sampleOffset = (audioParams.sampleOffset || 0) * sampleBuffer.duration;
         const cropDuration = duration / 1000;
         
-        source.start(audioEngine.audioContext.currentTime, sampleOffset, cropDuration);
+        source.start(startTime, sampleOffset, cropDuration);
         
     } else {
         // SYNTHESIZER MODE
-        let frequency = audioParams.frequency || 440;
-        
-        // Apply pitch transpose
-        const pitchTranspose = parseFloat(document.getElementById('pitchControl').value) || 0;
-        frequency = frequency * Math.pow(2, pitchTranspose / 12);
-        
-        // Apply pitch quantization if enabled
-        if (document.getElementById('pitchQuantization').checked) {
-            frequency = quantizePitch(frequency);
-        }
-        
+        const frequency = voice.frequency ?? getPlayedFrequency(audioParams);
         const waveformType = document.querySelector('input[name="waveform"]:checked')?.value || 'sine';
-        source = audioEngine.createCustomOscillator(frequency, waveformType, duration);
-        
-        source.start(audioEngine.audioContext.currentTime);
-        source.stop(audioEngine.audioContext.currentTime + duration / 1000);
+        const pwmLfoRate = document.getElementById('pwmLfo').checked ?
+            parseFloat(document.getElementById('pwmLfoRate').value) || 0 : 0;
+        source = engine.createCustomOscillator(frequency, waveformType, duration, {
+            harmonics: audioParams.harmonics ?? 8,
+            brightness: audioParams.brightness ?? 0.5,
+            pulseWidth: audioParams.pulseWidth ?? 0.5,
+            pwmLfoRate,
+            fmRatio: audioParams.fmRatio ?? 2.5,
+            fmIndex: audioParams.fmIndex ?? 0.32,
+            fmEnvelope: document.getElementById('fmEnvelope').value,
+            ...(waveformType === 'wavetable' ? getDataWavetable(audioParams.dataPosition ?? 0) : {})
+        });
         
-        // Start FM modulator if present
-        if (source._modulator) {
-            source._modulator.start(audioEngine.audioContext.currentTime);
-            source._modulator.stop(audioEngine.audioContext.currentTime + duration / 1000);
-        }
+        // Starts FM modulator / PWM sweep LFO along with the oscillator
+        engine.startVoice(source, startTime, startTime + duration / 1000);
     }
     
-    // Configure filter
-    filter.type = document.querySelector('input[name="filterType"]:checked')?.value || 'lowpass';
-    filter.frequency.value = filterFreq;
-    filter.Q.value = filterQ;
-    
-    // Configure panner
-    panner.pan.value = Math.max(-1, Math.min(1, pan));
-    
-    // Configure envelope
-    const now = audioEngine.audioContext.currentTime;
-    const minSmoothTime = parameterMapper.samplerMode ? 0.003 : 0;
-    const attackTime = Math.max(minSmoothTime, attack / 1000);
-    const releaseTime = Math.max(minSmoothTime, release / 1000);
-    const durationTime = duration / 1000;
+    // Configure panner (3D panner is already positioned)
+    if (!spatial) {
+        panner.pan.value = Math.max(-1, Math.min(1, pan));
+    }
     
-    envelope.gain.setValueAtTime(0.001, now);
-    envelope.gain.exponentialRampToValueAtTime(volume, now + attackTime);
-    envelope.gain.setValueAtTime(volume, now + Math.max(attackTime, durationTime - releaseTime));
-    envelope.gain.exponentialRampToValueAtTime(0.001, now + durationTime);
+    // ADSR envelope (shared with every voice type - see AudioEngine.createEnvelope)
+    // Samples get a 3ms minimum attack/release so cuts into a waveform don't click
+    const envelope = engine.createEnvelope(startTime, {
+        duration: duration / 1000,
+        attack: attack / 1000,
+        decay: decay / 1000,
+        sustain,
+        release: release / 1000,
+        peak: NOTE_PEAK * (voice.level ?? 1),
+        curve: document.getElementById('envelopeCurve')?.value || 'exponential',
+        minTime: parameterMapper.samplerMode ? 0.003 : 0
+    });
     
-    // Connect audio chain
-    source.connect(filter);
-    filter.connect(panner);
-    panner.connect(envelope);
+    // LFOs: pitch through the source's detune (grain clouds have none), cutoff through
+    // every filter's detune, volume through an extra tremolo gain before the envelope
+    const lfos = getLfoSettings();
+    const tremolo = lfos.some(lfo => lfo.target === 'gain') ? ctx.createGain() : null;
+    applyLfos(lfos, audioParams, engine, {
+        frequency: source.detune,
+        filterFreq: filterSection.filters.map(filter => filter.detune),
+        pan: spatial ? null : panner.pan,
+        gain: tremolo?.gain
+    }, startTime, startTime + duration / 1000);
+    
+    // Connect audio chain (multi-node voices like PWM expose their mix as _output)
+    filterSection.inputs.forEach(input => (source._output || source).connect(input));
+    filterSection.output.connect(panner);
+    if (tremolo) {
+        panner.connect(tremolo);
+        tremolo.connect(envelope);
+    } else {
+        panner.connect(envelope);
+    }
     
-    // Connect to effects chain if available, otherwise directly to destination
-    if (audioEngine.reverbNode && audioEngine.reverbDryGain) {
-        envelope.connect(audioEngine.reverbNode);
-        envelope.connect(audioEngine.reverbDryGain);
+    // Connect to effects rack if available, otherwise directly to destination
+    if (engine.effectsInput) {
+        envelope.connect(engine.effectsInput);
     } else {
         // No effects chain - connect directly to destination
-        envelope.connect(audioEngine.audioContext.destination);
+        envelope.connect(ctx.destination);
     }
 }
 
-function updateDelayParameters(audioParams) {
-    // Check if delay nodes are initialized
-    if (!audioEngine.delayNode || !audioEngine.delayFeedbackGain || !audioEngine.delayWetGain || !audioEngine.delayDryGain) {
-        console.warn('⚠️ Delay nodes not initialized - skipping delay parameter update');
-        return;
-    }
-    
-    const delayTime = (audioParams.delayTime || 200) / 1000;
-    const delayFeedback = audioParams.delayFeedback !== null && audioParams.delayFeedback !== undefined ? 
-        audioParams.delayFeedback : 0.3;
-    const delayMix = audioParams.delayMix !== null && audioParams.delayMix !== undefined ? 
-        audioParams.delayMix : 0.3;
-    
-    const now = audioEngine.audioContext.currentTime;
-    
-    // Analog-style delay time ramping for pitch shifting
-    if (audioEngine.previousDelayTime !== null && Math.abs(delayTime - audioEngine.previousDelayTime) > 0.005) {
-        audioEngine.delayNode.delayTime.linearRampToValueAtTime(delayTime, now + 0.05);
+/**
+ * LFO slots that are switched on
+ * 
+ * @returns {Array<Object>} [{ id, mode: 'note' | 'global', shape, target }]
+ */
+function getLfoSettings() {
+    return LFO_SLOTS
+        .map(id => ({
+            id,
+            mode: document.getElementById(`${id}Mode`).value,
+            shape: document.getElementById(`${id}Shape`).value,
+            target: document.getElementById(`${id}Target`).value
+        }))
+        .filter(lfo => lfo.mode !== 'off');
+}
+
+/**
+ * Connect the enabled LFOs to one note
+ * 
+ * Per-note LFOs start with the note (same phase every time) and stop with it.
+ * Global LFOs keep running - each note glides them to its own mapped rate,
+ * so a changing rate field speeds the sweep up and slows it down.
+ * 
+ * @param {Array<Object>} lfos - Result of getLfoSettings()
+ * @param {Object} audioParams - Result of calculateAudioParams() (lfo1Rate, lfo1Depth, ...)
+ * @param {AudioEngine} engine - Live or offline engine
+ * @param {Object} targets - AudioParam (or list of them) per LFO target (null/undefined = can't be modulated)
+ * @param {number} startTime - Note start (context time)
+ * @param {number} stopTime - Note end (context time)
+ */
+function applyLfos(lfos, audioParams, engine, targets, startTime, stopTime) {
+    lfos.forEach(({ id, mode, shape, target }) => {
+        const params = [targets[target]].flat().filter(Boolean);
+        if (params.length === 0) return;
+        
+        const rate = audioParams[`${id}Rate`] ?? 5;
+        const amount = lfoAmount(target, audioParams[`${id}Depth`] ?? 0.3);
+        
+        // Tremolo dips below full level: base drops by the swing, so the level moves between 1 - 2×swing and 1
+        if (target === 'gain') {
+            params[0].value = Math.max(0, params[0].value - amount);
+        }
+        
+        let lfo;
+        if (mode === 'global') {
+            lfo = engine.getGlobalLfo(id, shape);
+            engine.setLfoRate(lfo, rate, startTime, 0.05);
+        } else {
+            lfo = engine.createLfo(shape, rate, startTime);
+            lfo.stop(stopTime);
+        }
+        params.forEach(param => engine.modulate(lfo, param, amount, stopTime));
+    });
+}
+
+/**
+ * Filter type for a note: the Filter radio buttons, or the filterType param
+ * when "type from data" is on
+ */
+function getFilterType(audioParams) {
+    if (document.getElementById('filterTypeFromData').checked) {
+        return filterTypeFromValue(audioParams.filterType ?? 0);
+    }
+    return document.querySelector('input[name="filterType"]:checked')?.value || 'lowpass';
+}
+
+/**
+ * Build one note's filter section
+ * 
+ * Filter 1 always; filter 2 when a routing is chosen:
+ * - serial: source → filter 1 → filter 2
+ * - parallel: source → filter 1 ┐
+ *             source → filter 2 ┴→ mix
+ * 
+ * The filter envelope sweeps every filter's cutoff together (through detune,
+ * so it adds to the mapped cutoff and to any cutoff LFO).
+ * 
+ * @param {Object} audioParams - Result of calculateAudioParams()
+ * @param {AudioEngine} engine - Live or offline engine
+ * @param {number} startTime - Note start (context time)
+ * @returns {Object} { inputs (connect the source to each), output (connect on to the panner), filters }
+ */
+function createFilterSection(audioParams, engine, startTime) {
+    const ctx = engine.audioContext;
+    const filter = ctx.createBiquadFilter();
+    filter.type = getFilterType(audioParams);
+    filter.frequency.value = audioParams.filterFreq || 2000;
+    filter.Q.value = audioParams.filterQ || 1;
+    
+    const section = { inputs: [filter], output: filter, filters: [filter] };
+    
+    const routing = document.getElementById('filter2Routing').value;
+    if (routing !== 'off') {
+        const filter2 = ctx.createBiquadFilter();
+        filter2.type = document.getElementById('filter2Type').value;
+        filter2.frequency.value = audioParams.filter2Freq ?? 1000;
+        filter2.Q.value = audioParams.filter2Q ?? 1;
+        section.filters.push(filter2);
+        
+        if (routing === 'serial') {
+            filter.connect(filter2);
+            section.output = filter2;
+        } else {
+            section.inputs.push(filter2);
+            section.output = ctx.createGain();
+            section.output.gain.value = PARALLEL_FILTER_GAIN;
+            filter.connect(section.output);
+            filter2.connect(section.output);
+        }
+    }
+    
+    if (document.getElementById('filterEnvelope').checked) {
+        const points = planFilterEnvelope({
+            amount: audioParams.filterEnvAmount ?? 2,
+            attack: (audioParams.filterEnvAttack ?? 5) / 1000,
+            decay: (audioParams.filterEnvDecay ?? 300) / 1000
+        });
+        section.filters.forEach(f => engine.scheduleAutomation(f.detune, startTime, points));
+    }
+    
+    return section;
+}
+
+/**
+ * Frequency a synth voice plays: mapped frequency, transposed, then quantized to the scale
+ */
+function getPlayedFrequency(audioParams) {
+    let frequency = audioParams.frequency || 440;
+    
+    // Apply pitch transpose
+    const pitchTranspose = parseFloat(document.getElementById('pitchControl').value) || 0;
+    frequency = frequency * Math.pow(2, pitchTranspose / 12);
+    
+    // Apply pitch quantization if enabled
+    if (document.getElementById('pitchQuantization').checked) {
+        frequency = quantizePitch(frequency);
+    }
+    
+    return frequency;
+}
+
+/**
+ * Per-step effect updates shared by notes and the drone
+ */
+function updateEffectParameters(audioParams, engine, time) {
+    // Update delay parameters
+    updateDelayParameters(audioParams, engine, time);
+    
+    // Update reverb parameters
+    updateReverbParameters(audioParams, engine, time);
+    
+    // Update insert effects (chorus, distortion, ...) that are enabled
+    if (engine.effectsRack) {
+        engine.effectsRack.applyParams(audioParams, time);
+    }
+}
+
+/**
+ * Continuous mode is a synthesizer option
+ */
+function isDroneMode() {
+    return soundSource === 'synthesizer' && document.getElementById('droneMode').checked;
+}
+
+/**
+ * Chord mode: synth notes become chords or arpeggios (the drone stays one voice)
+ */
+function isHarmonyMode() {
+    return soundSource === 'synthesizer' && !isDroneMode() && document.getElementById('harmonyMode').value !== 'off';
+}
+
+/**
+ * Play one item as a chord (or arpeggio) - each tone is a full note through the chain
+ * 
+ * @param {Object} audioParams - Result of calculateAudioParams()
+ * @param {AudioEngine} engine - Live or offline engine
+ * @param {number} time - Context time of the item
+ * @param {number} spacing - Milliseconds until the next item (arpeggios fit inside it)
+ */
+function playChord(audioParams, engine, time, spacing) {
+    getChordVoices(audioParams, spacing).forEach(({ frequency, offset, level }) => {
+        playNote(audioParams, engine, time + offset, { frequency, level });
+    });
+}
+
+/**
+ * The tones of an item's chord
+ * 
+ * The root is the note a single voice would play (transposed and quantized).
+ * With pitch quantization on, the other tones are snapped to the scale too;
+ * off, they're exact equal-tempered intervals above the free root.
+ * Block chords are scaled down so three or four tones aren't louder than a note.
+ * 
+ * @param {Object} audioParams - Result of calculateAudioParams() (chordType, chordSpread)
+ * @param {number} spacing - Milliseconds until the next item
+ * @returns {Array<Object>} { frequency, offset (seconds after the item), level }
+ */
+function getChordVoices(audioParams, spacing) {
+    const { scale, root } = parameterMapper.tuning;
+    const quantized = document.getElementById('pitchQuantization').checked;
+    const frequencies = buildChord(getPlayedFrequency(audioParams), chordTypeFromValue(audioParams.chordType), {
+        scale: quantized ? scale : null,
+        scaleRoot: root,
+        spread: audioParams.chordSpread ?? 0
+    });
+    
+    // 'chord' | 'up' | 'down'
+    const mode = document.getElementById('harmonyMode').value;
+    const offsets = arpeggioOffsets(frequencies.length, spacing / 1000, mode === 'chord' ? 'none' : mode);
+    const level = mode === 'chord' ? 1 / Math.sqrt(frequencies.length) : 1;
+    
+    return frequencies.map((frequency, i) => ({ frequency, offset: offsets[i], level }));
+}
+
+/**
+ * Continuous (drone) mode step: glide the sustained voice to this item's values
+ * 
+ * The same calculateAudioParams() output that drives notes drives the glide:
+ * frequency, filterFreq/filterQ, pan and droneLevel are the targets, glideTime
+ * sets how long the voice takes to get there. The first step creates the voice.
+ * 
+ * @param {Object} audioParams - Result of calculateAudioParams()
+ * @param {AudioEngine} engine - Live or offline engine
+ * @param {number} time - Context time of this step
+ * @param {DroneVoice|null} voice - Voice from the previous step (null on the first)
+ * @returns {DroneVoice} The voice - pass it to the next step
+ */
+function playDroneStep(audioParams, engine, time, voice) {
+    updateEffectParameters(audioParams, engine, time);
+    
+    const target = {
+        frequency: getPlayedFrequency(audioParams),
+        filterFreq: audioParams.filterFreq || 2000,
+        filterQ: audioParams.filterQ || 1,
+        pan: audioParams.pan || 0,
+        level: (audioParams.droneLevel ?? 0.6) * NOTE_PEAK
+    };
+    const glideTime = audioParams.glideTime ?? 300;
+    
+    if (voice) {
+        voice.glideTo(target, time, glideTime);
+        return voice;
+    }
+    
+    const waveformType = document.querySelector('input[name="waveform"]:checked')?.value || 'sine';
+    const newVoice = new DroneVoice(engine, {
+        type: waveformType,
+        voices: parseInt(document.getElementById('droneVoices').value, 10) || 1,
+        filterType: getFilterType(audioParams),
+        options: {
+            harmonics: audioParams.harmonics ?? 8,
+            brightness: audioParams.brightness ?? 0.5,
+            ...(waveformType === 'wavetable' ? getDataWavetable(audioParams.dataPosition ?? 0) : {})
+        }
+    });
+    newVoice.start(time, target, glideTime);
+    console.log(`🌌 Drone started (${waveformType}, ${newVoice.oscillators.length} voice${newVoice.oscillators.length === 1 ? '' : 's'})`);
+    return newVoice;
+}
+
+function updateDelayParameters(audioParams, engine = audioEngine, time = engine.audioContext.currentTime) {
+    // Check if delay nodes are initialized
+    if (!engine.delayNode || !engine.delayFeedbackGain || !engine.delayWetGain || !engine.delayDryGain) {
+        console.warn('⚠️ Delay nodes not initialized - skipping delay parameter update');
+        return;
+    }
+    
+    const delayTime = (audioParams.delayTime || 200) / 1000;
+    const delayFeedback = audioParams.delayFeedback !== null && audioParams.delayFeedback !== undefined ? 
+        audioParams.delayFeedback : 0.3;
+    const delayMix = audioParams.delayMix !== null && audioParams.delayMix !== undefined ? 
+        audioParams.delayMix : 0.3;
+    
+    const delayDamping = audioParams.delayDamping ?? 0.2;
+    
+    const now = time;
+    
+    // Tempo sync: snap to the nearest note division (DelayNode max is 2s)
+    let targetTime = delayTime;
+    if (document.getElementById('delaySync').checked) {
+        targetTime = snapToDivision(delayTime, getTransport().bpm, 2).seconds;
+    }
+    
+    // Both lines share the time (the right line only sounds in ping-pong mode)
+    const delayLines = [engine.delayNode, engine.delayNodeRight].filter(Boolean);
+    const feedbackGains = [engine.delayFeedbackGain, engine.delayFeedbackGainRight].filter(Boolean);
+    
+    // Analog-style delay time ramping for pitch shifting
+    if (engine.previousDelayTime !== null && Math.abs(targetTime - engine.previousDelayTime) > 0.005) {
+        delayLines.forEach(line => line.delayTime.linearRampToValueAtTime(targetTime, now + 0.05));
     } else {
-        audioEngine.delayNode.delayTime.setValueAtTime(delayTime, now);
+        delayLines.forEach(line => line.delayTime.setValueAtTime(targetTime, now));
     }
-    audioEngine.previousDelayTime = delayTime;
+    engine.previousDelayTime = targetTime;
     
-    audioEngine.delayFeedbackGain.gain.setValueAtTime(Math.max(0, Math.min(0.9, delayFeedback)), now);
-    audioEngine.delayWetGain.gain.setValueAtTime(Math.max(0, Math.min(1, delayMix)), now);
-    audioEngine.delayDryGain.gain.setValueAtTime(1 - delayMix, now);
+    feedbackGains.forEach(gain => gain.gain.setValueAtTime(Math.max(0, Math.min(0.9, delayFeedback)), now));
+    engine.delayDampingFilters.forEach(filter => filter.frequency.setValueAtTime(dampingToCutoff(delayDamping), now));
+    engine.delayWetGain.gain.setValueAtTime(Math.max(0, Math.min(1, delayMix)), now);
+    engine.delayDryGain.gain.setValueAtTime(1 - delayMix, now);
 }
 
-function updateReverbParameters(audioParams) {
+/**
+ * Transport settings from the settings panel (see DEFAULT_TRANSPORT in lib/tempo.js)
+ * Speed scales the tempo, so the grid, note lengths and synced delay all follow it
+ * 
+ * @returns {Object} { bpm, beatsPerBar, beatUnit, grid, swing } - bpm includes speed
+ */
+function getTransport() {
+    const bpm = parseFloat(document.getElementById('tempoBpm').value);
+    const speed = parseFloat(document.getElementById('speedControl').value) || 1;
+    const beatsPerBar = parseInt(document.getElementById('beatsPerBar').value, 10);
+    
+    return {
+        bpm: (bpm > 0 ? bpm : DEFAULT_TRANSPORT.bpm) * speed,
+        beatsPerBar: beatsPerBar > 0 ? beatsPerBar : DEFAULT_TRANSPORT.beatsPerBar,
+        beatUnit: parseInt(document.getElementById('beatUnit').value, 10) || DEFAULT_TRANSPORT.beatUnit,
+        grid: document.getElementById('gridDivision').value || DEFAULT_TRANSPORT.grid,
+        swing: (parseFloat(document.getElementById('swingControl').value) || 0) / 100
+    };
+}
+
+function updateReverbParameters(audioParams, engine = audioEngine, time = engine.audioContext.currentTime) {
     // Check if reverb nodes are initialized
-    if (!audioEngine.reverbNode || !audioEngine.reverbWetGain || !audioEngine.reverbDryGain) {
+    if (!engine.reverbNode || !engine.reverbWetGain || !engine.reverbDryGain) {
         console.warn('⚠️ Reverb nodes not initialized - skipping reverb parameter update');
         return;
     }
@@ -845,13 +1814,13 @@ function updateReverbParameters(audioParams) {
     const reverbMix = audioParams.reverbMix !== null && audioParams.reverbMix !== undefined ? 
         audioParams.reverbMix : 0.3;
     
-    // Update reverb buffer if decay changed significantly
-    if (!audioEngine.reverbNode.buffer || Math.abs(audioEngine.reverbNode.buffer.duration - reverbDecay) > 0.5) {
-        audioEngine.reverbNode.buffer = audioEngine.createReverbImpulse(reverbDecay, reverbDecay);
-    }
+    // Crossfades to a cached impulse when decay moves to a new 0.5s step
+    // (no-op with a loaded IR file)
+    engine.setReverbDecay(reverbDecay, time);
     
-    audioEngine.reverbWetGain.gain.value = Math.max(0, Math.min(1, reverbMix));
-    audioEngine.reverbDryGain.gain.value = 1 - reverbMix;
+    // Scheduled (not .value) so offline renders apply mix changes at each note's time
+    engine.reverbWetGain.gain.setValueAtTime(Math.max(0, Math.min(1, reverbMix)), time);
+    engine.reverbDryGain.gain.setValueAtTime(1 - reverbMix, time);
 }
 
 // ============================================================================
@@ -860,43 +1829,99 @@ function updateReverbParameters(audioParams) {
 // Optional features for more structured/musical output
 // ============================================================================
 
-function quantizeRhythm(spacing) {
-    const rhythmGrid = [125, 250, 375, 500, 750, 1000, 1500, 2000]; // Musical divisions at 120 BPM
-    return rhythmGrid.reduce((prev, curr) => 
-        Math.abs(curr - spacing) < Math.abs(prev - spacing) ? curr : prev
-    );
+/**
+ * Snap a note spacing to the transport grid (whole steps, up to one bar)
+ * 
+ * @param {number} spacing - Milliseconds at the transport tempo
+ * @param {Object} transport - Result of getTransport()
+ * @param {Object} rhythm - { gridStep } - advanced by the steps this note takes
+ * @returns {number} Milliseconds until the next note (swing included)
+ */
+function quantizeRhythm(spacing, transport, rhythm) {
+    const { steps, seconds } = quantizeToGrid(spacing / 1000, transport, rhythm.gridStep);
+    rhythm.gridStep += steps;
+    return seconds * 1000;
 }
 
+/**
+ * Snap a frequency to the selected scale, in the selected key
+ * The tuning is read from the settings once per change (updateTuning), not per note
+ */
 function quantizePitch(frequency) {
-    const scaleType = document.getElementById('scaleSelector')?.value || 'pentatonic';
-    
-    const scales = {
-        pentatonic: [0, 2, 4, 7, 9],
-        major: [0, 2, 4, 5, 7, 9, 11],
-        minor: [0, 2, 3, 5, 7, 8, 10],
-        dorian: [0, 2, 3, 5, 7, 9, 10],
-        mixolydian: [0, 2, 4, 5, 7, 9, 10],
-        chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
-    };
+    const { scale, root } = parameterMapper.tuning;
+    return quantizeToScale(frequency, scale, root);
+}
+
+/**
+ * Read the tuning settings
+ * 
+ * @returns {Object} { scale: { name, cents, period }, root } - root = frequency of degree 0
+ */
+function getTuning() {
+    const scaleType = document.getElementById('scaleSelector').value;
+    
+    let scale = BUILT_IN_SCALES[scaleType] || BUILT_IN_SCALES.pentatonic;
+    if (scaleType === 'custom') {
+        const checked = Array.from(document.querySelectorAll('#scaleEditor input:checked'));
+        scale = scaleFromSemitones(checked.map(input => parseInt(input.value, 10)));
+    } else if (scaleType === 'scala' && scalaScale) {
+        scale = scalaScale;
+    }
     
-    const scale = scales[scaleType] || scales.pentatonic;
-    const midiNote = 69 + 12 * Math.log2(frequency / 440);
-    const octave = Math.floor(midiNote / 12);
-    const noteInOctave = midiNote % 12;
+    if (keyboardMapping) {
+        return { scale, root: keyboardMappingRoot(keyboardMapping, scale) };
+    }
     
-    let closestScaleDegree = scale[0];
-    let minDistance = Math.abs(noteInOctave - closestScaleDegree);
+    const rootNote = parseInt(document.getElementById('rootNote').value, 10) || 0;
+    const referencePitch = parseFloat(document.getElementById('referencePitch').value);
+    return { scale, root: rootFrequency(rootNote, referencePitch > 0 ? referencePitch : undefined) };
+}
+
+/**
+ * Apply the tuning settings: quantization and the mapper's default frequency
+ * range (used the next time fields are auto-mapped) follow them
+ */
+function updateTuning() {
+    parameterMapper.tuning = getTuning();
+    renderScaleEditor();
     
-    for (const degree of scale) {
-        const distance = Math.abs(noteInOctave - degree);
-        if (distance < minDistance) {
-            minDistance = distance;
-            closestScaleDegree = degree;
-        }
+    // A .kbm file decides the root - the root note and A4 inputs don't apply
+    document.getElementById('rootNote').disabled = !!keyboardMapping;
+    document.getElementById('referencePitch').disabled = !!keyboardMapping;
+    
+    const { scale, root } = parameterMapper.tuning;
+    console.log(`🎼 Tuning: ${scale.name}, ${scale.cents.length} notes, root ${root.toFixed(2)} Hz`);
+}
+
+/**
+ * Scale editor: one toggle per semitone above the root, labeled with note names
+ * Built-in scales fill it in, toggling a note switches to the custom scale.
+ * Scala tunings aren't on the 12-tone grid, so the editor just describes them.
+ */
+function renderScaleEditor() {
+    const editor = document.getElementById('scaleEditor');
+    const { scale } = parameterMapper.tuning;
+    const rootNote = parseInt(document.getElementById('rootNote').value, 10) || 0;
+    
+    const isTwelveTone = scale.period === 1200 && scale.cents.every(c => c % 100 === 0);
+    if (!isTwelveTone) {
+        editor.innerHTML = `<span class="f7" style="color: #666;">${scale.cents.length} notes per ${Math.round(scale.period)} cents (microtonal - edit the .scl file)</span>`;
+        return;
     }
     
-    const quantizedMidi = octave * 12 + closestScaleDegree;
-    return 440 * Math.pow(2, (quantizedMidi - 69) / 12);
+    editor.innerHTML = NOTE_NAMES.map((_, semitone) => {
+        const name = NOTE_NAMES[(rootNote + semitone) % 12];
+        const checked = scale.cents.includes(semitone * 100) ? 'checked' : '';
+        const disabled = semitone === 0 ? 'disabled' : ''; // The root is always in the scale
+        return `<label class="f7 mr2 mb1"><input type="checkbox" value="${semitone}" ${checked} ${disabled}> ${name}</label>`;
+    }).join('');
+    
+    editor.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            document.getElementById('scaleSelector').value = 'custom';
+            updateTuning();
+        });
+    });
 }
 
 // ============================================================================
@@ -910,7 +1935,7 @@ function handleRandomize(e) {
     if (!numericPaths.length) return;
     
     parameterMapper.randomizeMappings(numericPaths);
-    patchViz.render(numericPaths, parameterMapper.mappings, parameterMapper, isPlaying);
+    patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
     
     // Randomize waveform and filter too
     const waveforms = ['sine', 'square', 'sawtooth', 'triangle'];
@@ -941,6 +1966,349 @@ function handleRandomDataset() {
 function handleVolumeChange(e) {
     const vol = parseFloat(e.target.value);
     document.getElementById('masterVolumeValue').textContent = `${vol.toFixed(2)} (${(vol * 100).toFixed(0)}%)`;
+    audioEngine.setMasterVolume(vol);
+}
+
+function handleCompressorChange() {
+    const threshold = parseFloat(document.getElementById('compressorThreshold').value);
+    const ratio = parseFloat(document.getElementById('compressorRatio').value);
+    document.getElementById('compressorThresholdValue').textContent = `${threshold} dB`;
+    document.getElementById('compressorRatioValue').textContent = `${ratio}:1`;
+    audioEngine.setCompressor({ threshold, ratio });
+}
+
+/**
+ * Show the output meter readings (called by the engine every 100ms while playing)
+ * 
+ * Peak turns red from -1 dBFS (where the limiter starts working), the clip
+ * count red as soon as anything reached 0 dBFS - with the items that caused it.
+ * 
+ * @param {Object} readings - audioEngine.getMeterReadings()
+ */
+function updateMeterDisplay(readings) {
+    if (!readings) return;
+    
+    const peak = document.getElementById('meterPeak');
+    peak.textContent = `${formatDb(readings.peakDb)} dBFS`;
+    peak.style.color = readings.peakDb >= -1 ? '#cc0000' : '';
+    document.getElementById('meterRms').textContent = `${formatDb(readings.rmsDb)} dB`;
+    document.getElementById('meterMomentary').textContent = `${formatDb(readings.momentary)} LUFS`;
+    document.getElementById('meterShortTerm').textContent = `${formatDb(readings.shortTerm)} LUFS`;
+    document.getElementById('meterIntegrated').textContent = `${formatDb(readings.integrated)} LUFS`;
+    
+    const clips = document.getElementById('meterClips');
+    clips.textContent = readings.clipCount;
+    clips.style.color = readings.clipCount > 0 ? '#cc0000' : '';
+    
+    const clipItems = document.getElementById('meterClipItems');
+    clipItems.textContent = readings.clipCount > 0 ? `Clipped at ${formatClipItems(readings.clips)}` : '';
+    clipItems.style.display = readings.clipCount > 0 ? 'block' : 'none';
+}
+
+/**
+ * dB / LUFS value for display (silence is -∞)
+ */
+function formatDb(value) {
+    return isFinite(value) ? value.toFixed(1) : '-∞';
+}
+
+/**
+ * Items that clipped, numbered like the item counter (first 10)
+ */
+function formatClipItems(clips) {
+    const items = [...new Set(clips.map(clip => clip.itemIndex).filter(index => index !== null))];
+    if (items.length === 0) return 'no item';
+    const list = items.slice(0, 10).map(index => `#${index + 1}`).join(', ');
+    return `item${items.length > 1 ? 's' : ''} ${list}${items.length > 10 ? ', …' : ''}`;
+}
+
+function handleMeterReset(e) {
+    e.preventDefault();
+    audioEngine.resetMeter();
+    updateMeterDisplay(audioEngine.getMeterReadings());
+}
+
+/**
+ * Build the effects rack list: one row per effect with on/off and move buttons
+ * Order and enabled state live in audioEngine.effectsConfig
+ */
+function renderEffectsRackUI() {
+    const list = document.getElementById('effectsRackList');
+    const { order, enabled } = audioEngine.effectsConfig;
+    list.innerHTML = '';
+    
+    order.forEach((type, index) => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center justify-between mb1 f6';
+        row.innerHTML = `
+            <label class="flex items-center pointer">
+                <input type="checkbox" class="mr2" ${enabled[type] ? 'checked' : ''}>
+                <span>${index + 1}. ${EFFECT_DEFINITIONS[type].label}</span>
+            </label>
+            <span>
+                <button class="pa1 f7 ba b--black bg-white pointer" data-move="-1" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button class="pa1 f7 ba b--black bg-white pointer" data-move="1" ${index === order.length - 1 ? 'disabled' : ''}>▼</button>
+            </span>
+        `;
+        
+        row.querySelector('input').addEventListener('change', (e) => handleEffectToggle(type, e.target.checked));
+        row.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => handleEffectMove(index, parseInt(button.dataset.move)));
+        });
+        
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Toggle HRTF spatial mode
+ * Registers the 3D position params and auto-maps longitude/latitude if the data has them
+ */
+function handleSpatialModeChange(e) {
+    if (e.target.checked) {
+        parameterMapper.registerParamGroup('spatial', SPATIAL_PARAMS);
+        parameterMapper.mapGeoPaths(numericPaths);
+    } else {
+        parameterMapper.unregisterParamGroup('spatial');
+    }
+    
+    if (numericPaths.length > 0) {
+        patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
+    }
+    
+    console.log(`🎧 Spatial mode ${e.target.checked ? 'on' : 'off'}`);
+}
+
+function handleDroneModeChange(e) {
+    if (e.target.checked) {
+        parameterMapper.registerParamGroup('drone', DRONE_PARAMS);
+    } else {
+        parameterMapper.unregisterParamGroup('drone');
+    }
+    
+    // Notes and the drone are different voices - restart from a stop
+    if (isPlaying) stopPlayback();
+    
+    if (numericPaths.length > 0) {
+        patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
+    }
+    
+    console.log(`🌌 Continuous mode ${e.target.checked ? 'on' : 'off'}`);
+}
+
+function handleHarmonyModeChange(e) {
+    if (e.target.value !== 'off') {
+        parameterMapper.registerParamGroup('harmony', HARMONY_PARAMS);
+    } else {
+        parameterMapper.unregisterParamGroup('harmony');
+    }
+    
+    if (numericPaths.length > 0) {
+        patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
+    }
+    
+    console.log(`🎹 Harmony: ${e.target.value}`);
+}
+
+function handleLfoModeChange(slotId, e) {
+    if (e.target.value !== 'off') {
+        parameterMapper.registerParamGroup(slotId, lfoParams(slotId));
+    } else {
+        parameterMapper.unregisterParamGroup(slotId);
+    }
+    
+    if (numericPaths.length > 0) {
+        patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
+    }
+    
+    console.log(`〰️ ${slotId.toUpperCase()}: ${e.target.value}`);
+}
+
+/**
+ * Filter section options - each adds its params while it's on
+ */
+function handleFilterOptionsChange() {
+    const groups = [
+        ['filterType', FILTER_TYPE_PARAMS, document.getElementById('filterTypeFromData').checked],
+        ['filterEnvelope', FILTER_ENVELOPE_PARAMS, document.getElementById('filterEnvelope').checked],
+        ['filter2', FILTER2_PARAMS, document.getElementById('filter2Routing').value !== 'off']
+    ];
+    
+    groups.forEach(([groupId, params, enabled]) => {
+        if (enabled) {
+            parameterMapper.registerParamGroup(groupId, params);
+        } else {
+            parameterMapper.unregisterParamGroup(groupId);
+        }
+    });
+    
+    if (numericPaths.length > 0) {
+        patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
+    }
+    
+    console.log(`🎚️ Filter options: ${groups.filter(([, , enabled]) => enabled).map(([groupId]) => groupId).join(', ') || 'none'}`);
+}
+
+function handleEffectToggle(type, enabled) {
+    audioEngine.setEffectEnabled(type, enabled);
+    
+    // Enabled effects expose their params for mapping, bypassed ones hide them
+    const params = EFFECT_DEFINITIONS[type].params;
+    if (params.length > 0) {
+        if (enabled) {
+            parameterMapper.registerParamGroup(type, params);
+        } else {
+            parameterMapper.unregisterParamGroup(type);
+        }
+        
+        if (numericPaths.length > 0) {
+            patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
+        }
+    }
+    
+    console.log(`🎛️ ${EFFECT_DEFINITIONS[type].label} ${enabled ? 'enabled' : 'bypassed'}`);
+}
+
+function handleEffectMove(index, direction) {
+    const order = [...audioEngine.effectsConfig.order];
+    const target = index + direction;
+    if (target < 0 || target >= order.length) return;
+    
+    [order[index], order[target]] = [order[target], order[index]];
+    audioEngine.setEffectOrder(order);
+    renderEffectsRackUI();
+    
+    console.log(`🎛️ Effects order: ${order.join(' → ')}`);
+}
+
+async function handleImpulseUpload(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const irError = document.getElementById('irLoadError');
+    irError.style.display = 'none';
+    
+    try {
+        const info = await audioEngine.loadImpulseResponse(file);
+        document.getElementById('irFileName').textContent = `${info.fileName} (${info.duration.toFixed(2)}s)`;
+        document.getElementById('irInfo').style.display = 'block';
+    } catch (error) {
+        irError.textContent = error.message;
+        irError.style.display = 'block';
+    }
+}
+
+function handleClearImpulse() {
+    audioEngine.clearImpulseResponse();
+    document.getElementById('irFileInput').value = '';
+    document.getElementById('irInfo').style.display = 'none';
+}
+
+/**
+ * Load Scala files: a .scl scale and/or a .kbm keyboard mapping (can be picked together)
+ */
+async function handleScalaUpload(e) {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+    
+    const errorEl = document.getElementById('scalaLoadError');
+    errorEl.style.display = 'none';
+    
+    try {
+        for (const file of files) {
+            const text = await file.text();
+            if (file.name.toLowerCase().endsWith('.kbm')) {
+                keyboardMapping = parseKeyboardMapping(text);
+            } else {
+                scalaScale = parseScala(text, file.name.replace(/\.scl$/i, ''));
+            }
+        }
+    } catch (error) {
+        errorEl.textContent = error.message;
+        errorEl.style.display = 'block';
+        return;
+    }
+    
+    const option = document.getElementById('scalaScaleOption');
+    if (scalaScale) {
+        option.disabled = false;
+        option.textContent = `Scala: ${scalaScale.name}`;
+        document.getElementById('scaleSelector').value = 'scala';
+    }
+    
+    const names = [scalaScale && scalaScale.name, keyboardMapping && `mapping: note ${keyboardMapping.referenceNote} = ${keyboardMapping.referenceFrequency} Hz`];
+    document.getElementById('scalaName').textContent = names.filter(Boolean).join(', ');
+    document.getElementById('scalaInfo').style.display = 'block';
+    
+    updateTuning();
+}
+
+function handleClearScala() {
+    scalaScale = null;
+    keyboardMapping = null;
+    
+    const option = document.getElementById('scalaScaleOption');
+    option.disabled = true;
+    option.textContent = 'Scala file (none loaded)';
+    if (document.getElementById('scaleSelector').value === 'scala') {
+        document.getElementById('scaleSelector').value = 'pentatonic';
+    }
+    
+    document.getElementById('scalaFileInput').value = '';
+    document.getElementById('scalaInfo').style.display = 'none';
+    updateTuning();
+}
+
+/**
+ * Connect to / disconnect from the OSC relay
+ * A failed connection unticks the checkbox so it always matches the real state
+ */
+async function handleOSCToggle(e) {
+    if (!e.target.checked) {
+        oscBridge.disconnect();
+        return;
+    }
+    
+    const url = document.getElementById('oscUrl').value.trim() || OSC_DEFAULTS.url;
+    try {
+        await oscBridge.connect(url);
+        console.log(`📡 OSC output connected to ${url}`);
+    } catch (error) {
+        e.target.checked = false;
+        console.warn(`⚠️ OSC output: ${error.message} - is the relay running? (npm run osc-relay)`);
+    }
+}
+
+/**
+ * Show the OSC connection state next to the checkbox
+ */
+function updateOSCStatus(status) {
+    const labels = {
+        disconnected: 'Off',
+        connecting: 'Connecting…',
+        connected: '● Connected',
+        error: 'Could not connect - is the relay running?'
+    };
+    const statusEl = document.getElementById('oscStatus');
+    statusEl.textContent = labels[status] || status;
+    statusEl.style.color = status === 'connected' ? '#0a0' : status === 'error' ? '#cc0000' : '#666';
+    
+    // Connection lost while the checkbox was on
+    if (status !== 'connected' && status !== 'connecting') {
+        document.getElementById('oscEnabled').checked = false;
+    }
+}
+
+/**
+ * Copy master bus settings from the settings panel into an engine
+ * Used for the live engine on play and for the offline export engine
+ */
+function applyMasterSettings(engine) {
+    engine.setMasterVolume(parseFloat(document.getElementById('masterVolume').value) || 0.2);
+    engine.setCompressor({
+        threshold: parseFloat(document.getElementById('compressorThreshold').value),
+        ratio: parseFloat(document.getElementById('compressorRatio').value)
+    });
 }
 
 function handlePitchChange(e) {
@@ -949,60 +2317,210 @@ function handlePitchChange(e) {
     document.getElementById('pitchValue').textContent = `${sign}${semitones.toFixed(1)} semitones`;
 }
 
-function handleSpeedChange(e) {
-    document.getElementById('speedValue').textContent = `${e.target.value}x`;
+/**
+ * Speed is a tempo multiplier - show the tempo it results in
+ */
+function updateTempoLabel() {
+    const speed = document.getElementById('speedControl').value;
+    document.getElementById('speedValue').textContent = `${speed}x (${Math.round(getTransport().bpm)} BPM)`;
+}
+
+function handleSwingChange(e) {
+    document.getElementById('swingValue').textContent = `${e.target.value}%`;
+}
+
+function handlePwmLfoRateChange(e) {
+    document.getElementById('pwmLfoRateValue').textContent = `${parseFloat(e.target.value).toFixed(1)} Hz`;
+}
+
+/**
+ * Fill the wavetable field selector and rebuild the tables for the chosen field
+ */
+function updateWavetableFieldOptions() {
+    fillNumericFieldSelect(document.getElementById('wavetableField'));
+    rebuildDataWavetables();
+}
+
+/**
+ * Fill a field selector with the dataset's numeric fields
+ * Keeps the current choice if the new dataset has it, otherwise picks the first field
+ * 
+ * @param {HTMLSelectElement} select - Selector to fill
+ */
+function fillNumericFieldSelect(select) {
+    const previous = select.value;
+    
+    select.innerHTML = '';
+    numericPaths.forEach(({ path }) => {
+        const option = document.createElement('option');
+        option.value = path;
+        option.textContent = path;
+        select.appendChild(option);
+    });
+    
+    if (numericPaths.some(p => p.path === previous)) {
+        select.value = previous;
+    }
+}
+
+/**
+ * Show the audification rate controls for the chosen rate mode,
+ * and how long the selected field lasts at that rate
+ */
+function updateAudificationInfo() {
+    const compressionMode = document.getElementById('audificationRateMode').value === 'compression';
+    document.getElementById('audificationRateControls').style.display = compressionMode ? 'none' : 'block';
+    document.getElementById('audificationCompressionControls').style.display = compressionMode ? 'block' : 'none';
+    
+    const info = document.getElementById('audificationInfo');
+    const path = document.getElementById('audificationField').value;
+    if (!parsedData || !path) {
+        info.textContent = 'Load data to audify a field';
+        return;
+    }
+    
+    const count = extractValues(parsedData, path).filter(v => !isNaN(parseFloat(v))).length;
+    const rate = getAudificationRate();
+    const duration = rate > 0 ? count / rate : 0;
+    info.textContent = `${count.toLocaleString()} values at ${Math.round(rate).toLocaleString()} samples/s → ${duration < 1 ? `${Math.round(duration * 1000)}ms` : `${duration.toFixed(1)}s`}`;
+}
+
+/**
+ * Rebuild the data wavetables from the selected field
+ * Morph off: the whole field is one cycle. Morph on: one cycle per window of the data.
+ */
+function rebuildDataWavetables() {
+    const path = document.getElementById('wavetableField').value;
+    const morph = document.getElementById('wavetableMorph').checked;
+    
+    dataWavetables = parsedData && path ?
+        buildDataWavetables(parsedData, path, morph ? WAVETABLE_MORPH_WINDOWS : 1) : [];
+    wavetableVersion++;
+    
+    if (path && dataWavetables.length === 0) {
+        console.warn(`⚠️ "${path}" has no shape to draw a wavetable from (flat or too few values)`);
+    } else if (path) {
+        console.log(`🌊 Data wavetable: ${path} (${dataWavetables.length} cycle${dataWavetables.length === 1 ? '' : 's'})`);
+    }
+}
+
+/**
+ * Wavetable options for createCustomOscillator() at a point in the data
+ * 
+ * @param {number} position - Where the note sits in the dataset (0 = first item, 1 = last)
+ * @returns {Object} { wavetable, wavetableKey }
+ */
+function getDataWavetable(position) {
+    if (dataWavetables.length <= 1) {
+        return { wavetable: dataWavetables[0] || null, wavetableKey: `${wavetableVersion}` };
+    }
+    
+    const step = Math.round(position * WAVETABLE_MORPH_STEPS);
+    return {
+        wavetable: morphWavetables(dataWavetables, step / WAVETABLE_MORPH_STEPS),
+        wavetableKey: `${wavetableVersion}:${step}`
+    };
 }
 
 function handleModeChange(e) {
-    const samplerMode = e.target.value === 'sampler';
+    const previousSource = soundSource;
+    soundSource = e.target.value;
+    const samplerMode = soundSource === 'sampler' || soundSource === 'granular';
+    const audification = soundSource === 'audification';
+    
+    // Audification, the drone and note playback are different voices - restart from a stop
+    if (isPlaying && (audification || previousSource === 'audification' || droneVoice)) {
+        stopPlayback();
+    }
     
     // Sync mode across modules
     audioEngine.samplerMode = samplerMode;
     parameterMapper.samplerMode = samplerMode;
     
+    // Grain params only exist while the granular source is on
+    if (soundSource === 'granular') {
+        parameterMapper.registerParamGroup('granular', GRANULAR_PARAMS);
+    } else {
+        parameterMapper.unregisterParamGroup('granular');
+    }
+    
     // Show/hide relevant sections
     document.getElementById('sampleUploadSection').style.display = samplerMode ? 'block' : 'none';
-    document.getElementById('waveformSection').style.display = samplerMode ? 'none' : 'block';
-    document.getElementById('filterSection').style.display = samplerMode ? 'none' : 'block';
+    document.getElementById('audificationSection').style.display = audification ? 'block' : 'none';
+    document.getElementById('waveformSection').style.display = soundSource === 'synthesizer' ? 'block' : 'none';
+    document.getElementById('filterSection').style.display = soundSource === 'synthesizer' ? 'block' : 'none';
     
-    console.log(`🎛️ Switched to ${samplerMode ? 'SAMPLER' : 'SYNTHESIZER'} mode`);
+    console.log(`🎛️ Switched to ${soundSource.toUpperCase()} mode`);
     
     // Rebuild visualization with new parameters
     if (numericPaths.length > 0) {
-        patchViz.render(numericPaths, parameterMapper.mappings, parameterMapper, isPlaying);
+        patchViz.render(getMappablePaths(), parameterMapper.mappings, parameterMapper, isPlaying);
     }
 }
 
 async function handleSampleUpload(e) {
-    const file = e.target.files[0];
-    if (!file) return;
-    
-    console.log(`📂 Loading sample: ${file.name}`);
+    const files = [...e.target.files];
+    if (files.length === 0) return;
     
     document.getElementById('sampleLoadError').style.display = 'none';
-    document.getElementById('sampleInfo').style.display = 'none';
+    const errors = [];
+    
+    // Each file is added to the kit (one bad file doesn't stop the others)
+    for (const file of files) {
+        console.log(`📂 Loading sample: ${file.name}`);
+        try {
+            await audioEngine.loadSample(file);
+        } catch (error) {
+            console.error('❌ Error loading sample:', error);
+            errors.push(`${file.name}: ${error.message}`);
+        }
+    }
     
-    try {
-        const sampleInfo = await audioEngine.loadSample(file);
-        
-        // Display sample info
-        document.getElementById('sampleFileName').textContent = sampleInfo.fileName;
-        document.getElementById('sampleDuration').textContent = `${sampleInfo.duration.toFixed(2)}s`;
-        document.getElementById('sampleFormat').textContent = 
-            `${sampleInfo.channels} ch, ${(sampleInfo.sampleRate / 1000).toFixed(1)} kHz`;
-        document.getElementById('sampleInfo').style.display = 'block';
-        
-    } catch (error) {
-        console.error('❌ Error loading sample:', error);
-        document.getElementById('sampleLoadError').textContent = error.message;
+    // Clear the input so the same file can be added again
+    e.target.value = '';
+    renderSampleKitUI();
+    
+    if (errors.length > 0) {
+        document.getElementById('sampleLoadError').textContent = errors.join('\n');
         document.getElementById('sampleLoadError').style.display = 'block';
     }
 }
 
+/**
+ * Render the loaded samples with their kit position and a remove button
+ */
+function renderSampleKitUI() {
+    const list = document.getElementById('sampleKitList');
+    list.innerHTML = '';
+    
+    audioEngine.sampleKit.forEach((sample, index) => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center justify-between f7 mb1';
+        row.innerHTML = `
+            <span class="truncate"></span>
+            <span class="flex-none ml2">
+                <span style="color: #666;">${sample.duration.toFixed(2)}s, ${sample.buffer.numberOfChannels} ch</span>
+                <button class="ml1 pa0 ph1 f7 ba b--black bg-white pointer" title="Remove">✕</button>
+            </span>
+        `;
+        // File names come from the user's disk - set as text, never parsed as HTML
+        const name = row.querySelector('.truncate');
+        name.textContent = `${index + 1}. ${sample.fileName}`;
+        name.setAttribute('title', sample.fileName);
+        row.querySelector('button').addEventListener('click', () => {
+            audioEngine.removeSample(index);
+            renderSampleKitUI();
+        });
+        list.appendChild(row);
+    });
+    
+    document.getElementById('sampleInfo').style.display = audioEngine.sampleKit.length > 0 ? 'block' : 'none';
+}
+
 function handleClearSample() {
     audioEngine.clearSample();
     document.getElementById('sampleFileInput').value = '';
-    document.getElementById('sampleInfo').style.display = 'none';
+    renderSampleKitUI();
 }
 
 // ============================================================================
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * TOOL: OSC Relay
+ * 
+ * Purpose: Forward DataSynth's OSC-over-WebSocket output to a UDP port (where OSC apps listen)
+ * 
+ * Usage:
+ *   npm run osc-relay
+ *   node tools/osc-relay.js --port 8080 --udp-host 127.0.0.1 --udp-port 57120 --quiet
+ * 
+ *   --port       WebSocket port DataSynth connects to (default 8080)
+ *   --host       Interface the WebSocket listens on (default 127.0.0.1 - this machine only; 0.0.0.0 = whole network)
+ *   --origin     Also accept pages from this origin (e.g. https://datasynth.example.com) - localhost pages always work
+ *   --udp-host   Where to send OSC packets (default 127.0.0.1)
+ *   --udp-port   OSC receiver port (default 57120 - SuperCollider; Max/Pd/TouchDesigner: whatever you set)
+ *   --quiet      Don't print every message
+ * 
+ * Dependencies:
+ * - lib/osc-bridge.js (decodeOSCPacket, for logging)
+ * - Node built-ins only (http, crypto, dgram) - no npm install needed
+ * 
+ * How it works:
+ * Browsers can't send UDP, so DataSynth sends each OSC bundle as a binary
+ * WebSocket frame. This script accepts the WebSocket, unwraps each frame
+ * and sends the exact same bytes as one UDP datagram.
+ * 
+ * Anything that can connect can send datagrams to the UDP target, so the
+ * relay only listens on this machine and turns away WebSockets opened by
+ * web pages from other origins (any open tab could try).
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import dgram from 'node:dgram';
+import { decodeOSCPacket } from '../lib/osc-bridge.js';
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const WS_PORT = parseInt(option('port', '8080'), 10);
+const WS_HOST = option('host', '127.0.0.1');
+const EXTRA_ORIGIN = option('origin', null);
+const UDP_HOST = option('udp-host', '127.0.0.1');
+const UDP_PORT = parseInt(option('udp-port', '57120'), 10);
+const QUIET = args.includes('--quiet');
+
+// Fixed GUID from the WebSocket spec (RFC 6455) - proves the server speaks WebSocket
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const udp = dgram.createSocket('udp4');
+
+// Without a listener a failed send (unknown --udp-host, unreachable network) would end the relay
+udp.on('error', (error) => console.warn('⚠️ UDP socket error:', error.message));
+
+// ============================================================================
+// WEBSOCKET FRAMES
+// ============================================================================
+
+/**
+ * Read complete frames from the front of a buffer
+ * Client frames are always masked (XOR with a 4-byte key)
+ * 
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object} { frames: [{ opcode, payload }], rest } - rest = incomplete frame bytes
+ */
+function readFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        
+        const maskLength = masked ? 4 : 0;
+        const frameLength = headerLength + maskLength + length;
+        if (buffer.length - offset < frameLength) break;
+        
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+        if (masked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        
+        frames.push({ opcode, payload });
+        offset += frameLength;
+    }
+    
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Build an unmasked server frame (only used for small control frames)
+ */
+function buildFrame(opcode, payload = Buffer.alloc(0)) {
+    return Buffer.concat([Buffer.from([0x80 | opcode, payload.length]), payload]);
+}
+
+/**
+ * Is a WebSocket's Origin header one we accept?
+ * Browsers always send it - a missing header is a non-browser client (no web page behind it)
+ */
+function isAllowedOrigin(origin) {
+    if (!origin) return true;
+    if (EXTRA_ORIGIN && origin === EXTRA_ORIGIN) return true;
+    try {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('DataSynth OSC relay - connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+    
+    if (!isAllowedOrigin(req.headers.origin)) {
+        console.warn(`⚠️ Refused WebSocket from ${req.headers.origin} (allow it with --origin)`);
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    
+    console.log(`🔌 DataSynth connected (${socket.remoteAddress})`);
+    
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        const { frames, rest } = readFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+        
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x2) {
+                // Binary frame = one OSC packet → one UDP datagram
+                udp.send(payload, UDP_PORT, UDP_HOST, (error) => {
+                    if (error) console.warn(`⚠️ Could not send to udp://${UDP_HOST}:${UDP_PORT}:`, error.message);
+                });
+                if (!QUIET) {
+                    try {
+                        const note = decodeOSCPacket(new Uint8Array(payload)).find(m => m.address.endsWith('/note'));
+                        if (note) {
+                            console.log(`🎵 ${note.address} ${note.args.map(v => (typeof v === 'number' ? +v.toFixed(3) : v)).join(' ')}`);
+                        }
+                    } catch (error) {
+                        console.warn('⚠️ Could not decode packet:', error.message);
+                    }
+                }
+            } else if (opcode === 0x8) {
+                socket.end(buildFrame(0x8));
+            } else if (opcode === 0x9) {
+                socket.write(buildFrame(0xa, payload));
+            }
+        });
+    });
+    
+    socket.on('close', () => console.log('🔌 DataSynth disconnected'));
+    socket.on('error', (error) => console.warn('⚠️ Socket error:', error.message));
+});
+
+server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+        console.error(`❌ Port ${WS_PORT} is already in use - is another relay running? Pick another with --port`);
+    } else {
+        console.error('❌ Relay server error:', error.message);
+    }
+    process.exit(1);
+});
+
+server.listen(WS_PORT, WS_HOST, () => {
+    console.log(`📡 OSC relay: ws://${WS_HOST}:${WS_PORT} → udp://${UDP_HOST}:${UDP_PORT}`);
+    console.log('   Enable "OSC Output" in DataSynth settings, then press play. Ctrl+C to stop.');
+});